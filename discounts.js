@@ -0,0 +1,163 @@
+/*
+ * Holy Hands Kitchen – promo codes
+ *
+ * Decides whether a promo code applies to a cart and how much it takes off.
+ * Pure functions only: the promotion list, cart lines and clock are passed
+ * in, so the same engine can price any storefront's cart.
+ *
+ * Promotions use the catalog's units (dollars) for `amount` and `minSubtotal`.
+ * Cart lines and every result are integer cents.
+ *
+ *   { "code": "WELCOME10", "type": "percent", "percent": 10, "minSubtotal": 20, "expires": "2026-12-31" }
+ *   { "code": "FIVEOFF", "type": "fixed", "amount": 5 }
+ *   { "code": "SHRIMPBOGO", "type": "bogo", "itemId": "jumbo-shrimp" }
+ *   { "code": "PLATEPLUS", "type": "free-side", "plateCategory": "plates", "sideCategory": "sides" }
+ *
+ * `starts` and `expires` are inclusive YYYY-MM-DD dates in the kitchen's time
+ * zone.
+ */
+(function() {
+  const TYPES = ['percent', 'fixed', 'bogo', 'free-side'];
+  const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+  const DEFAULT_TIME_ZONE = 'America/New_York';
+
+  function normalizeCode(code) {
+    return String(code == null ? '' : code).trim().toUpperCase();
+  }
+
+  function toCents(dollars) {
+    return Math.round(Number(dollars || 0) * 100);
+  }
+
+  /**
+   * Shape errors for one promotion definition; an empty list means it's usable.
+   * Whether `itemId` or the categories exist is up to the caller's catalog.
+   */
+  function validatePromotion(promo) {
+    if (!promo || typeof promo !== 'object') return ['Promotion must be an object'];
+    const label = `Promotion "${promo.code}"`;
+    const errors = [];
+    const isAmount = (v) => typeof v === 'number' && Number.isFinite(v) && v >= 0;
+
+    if (typeof promo.code !== 'string' || !normalizeCode(promo.code)) return ['Promotion is missing a code'];
+    if (!TYPES.includes(promo.type)) errors.push(`${label} has unknown type "${promo.type}"`);
+    if (promo.type === 'percent' && !(isAmount(promo.percent) && promo.percent <= 100)) {
+      errors.push(`${label} needs a percent between 0 and 100`);
+    }
+    if (promo.type === 'fixed' && !isAmount(promo.amount)) errors.push(`${label} needs an amount`);
+    if (promo.type === 'bogo' && (typeof promo.itemId !== 'string' || !promo.itemId)) {
+      errors.push(`${label} needs an itemId`);
+    }
+    if (promo.type === 'free-side' && (typeof promo.plateCategory !== 'string' || typeof promo.sideCategory !== 'string')) {
+      errors.push(`${label} needs a plateCategory and sideCategory`);
+    }
+    if (promo.minSubtotal != null && !isAmount(promo.minSubtotal)) errors.push(`${label} has an invalid minSubtotal`);
+    ['starts', 'expires'].forEach((key) => {
+      if (promo[key] != null && !DATE_PATTERN.test(promo[key])) errors.push(`${label} has an invalid ${key} date`);
+    });
+    return errors;
+  }
+
+  function localDate(now, timeZone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' })
+      .formatToParts(now)
+      .forEach(({ type, value }) => {
+        parts[type] = value;
+      });
+    return `${parts.year}-${parts.month}-${parts.day}`;
+  }
+
+  function findPromotion(code, promotions) {
+    const wanted = normalizeCode(code);
+    return (promotions || []).find((p) => normalizeCode(p.code) === wanted) || null;
+  }
+
+  // One entry per unit, cheapest first, so "free" always means the cheapest
+  function unitsOf(lines, predicate) {
+    const units = [];
+    lines.filter(predicate).forEach((line) => {
+      for (let i = 0; i < line.quantity; i += 1) units.push(line);
+    });
+    return units.sort((a, b) => a.unitPrice - b.unitPrice);
+  }
+
+  function discountUnits(units) {
+    const lineDiscounts = {};
+    units.forEach((line) => {
+      lineDiscounts[line.key] = (lineDiscounts[line.key] || 0) + line.unitPrice;
+    });
+    return lineDiscounts;
+  }
+
+  function reject(reason, params = {}, promo = null) {
+    return { ok: false, reason, params, promo };
+  }
+
+  /**
+   * Apply `code` to a cart.
+   *
+   * Resolves to { ok: true, code, promo, discount, lineDiscounts } where
+   * lineDiscounts maps line keys to the cents taken off that line (BOGO and
+   * free-side only). Otherwise { ok: false, reason, params } with reason one
+   * of: unknown, not-started, expired, min-subtotal, needs-item, needs-plate,
+   * needs-side.
+   *
+   * @param {string} code
+   * @param {Array<{key: string, id: string, category: string, unitPrice: number, quantity: number}>} lines
+   * @param {Array<object>} promotions
+   * @param {{now?: Date, timeZone?: string}} [options]
+   */
+  function evaluatePromotion(code, lines, promotions, { now = new Date(), timeZone = DEFAULT_TIME_ZONE } = {}) {
+    const promo = findPromotion(code, promotions);
+    if (!promo || validatePromotion(promo).length) return reject('unknown', { code: normalizeCode(code) });
+
+    const today = localDate(now, timeZone);
+    if (promo.starts && today < promo.starts) return reject('not-started', { starts: promo.starts }, promo);
+    if (promo.expires && today > promo.expires) return reject('expired', { expires: promo.expires }, promo);
+
+    const cartLines = (lines || []).filter((line) => line.quantity > 0);
+    const subtotal = cartLines.reduce((sum, line) => sum + line.unitPrice * line.quantity, 0);
+    const minSubtotal = toCents(promo.minSubtotal);
+    if (subtotal < minSubtotal) {
+      return reject('min-subtotal', { minSubtotal, shortBy: minSubtotal - subtotal }, promo);
+    }
+
+    let discount = 0;
+    let lineDiscounts = {};
+
+    if (promo.type === 'percent') {
+      discount = Math.round((subtotal * promo.percent) / 100);
+    } else if (promo.type === 'fixed') {
+      discount = Math.min(subtotal, toCents(promo.amount));
+    } else if (promo.type === 'bogo') {
+      const units = unitsOf(cartLines, (line) => line.id === promo.itemId);
+      if (units.length < 2) return reject('needs-item', { itemId: promo.itemId, quantity: 2 }, promo);
+      lineDiscounts = discountUnits(units.slice(0, Math.floor(units.length / 2)));
+    } else if (promo.type === 'free-side') {
+      const plates = unitsOf(cartLines, (line) => line.category === promo.plateCategory);
+      const sides = unitsOf(cartLines, (line) => line.category === promo.sideCategory);
+      if (!plates.length) return reject('needs-plate', { category: promo.plateCategory }, promo);
+      if (!sides.length) return reject('needs-side', { category: promo.sideCategory }, promo);
+      lineDiscounts = discountUnits(sides.slice(0, plates.length));
+    }
+
+    if (promo.type === 'bogo' || promo.type === 'free-side') {
+      discount = Object.values(lineDiscounts).reduce((sum, cents) => sum + cents, 0);
+    }
+
+    return {
+      ok: true,
+      code: normalizeCode(promo.code),
+      promo,
+      discount,
+      lineDiscounts,
+    };
+  }
+
+  window.HH_DISCOUNTS = {
+    normalizeCode,
+    validatePromotion,
+    evaluatePromotion,
+  };
+})();
@@ -0,0 +1,167 @@
+/*
+ * Holy Hands Kitchen – safe DOM helpers
+ *
+ * Menu and cart data come from menu.json, the bundled menu, localStorage and
+ * customer input, so none of it is trusted. Instead of interpolating values
+ * into innerHTML, script.js builds markup with `h()`, which only ever writes
+ * text nodes and attributes. Image URLs go through `safeImageUrl()` so a bad
+ * catalog entry can't smuggle in `javascript:` or other unexpected schemes.
+ */
+(function() {
+  const SAFE_URL_PROTOCOLS = ['http:', 'https:'];
+  const SAFE_DATA_IMAGE = /^data:image\/(?:png|jpe?g|gif|webp|avif);base64,[a-z0-9+/]+=*$/i;
+  const URL_ATTRIBUTES = ['src', 'href', 'action', 'formaction', 'poster'];
+  const SRCSET_ATTRIBUTES = ['srcset', 'imagesrcset'];
+
+  /**
+   * Escape a value for use inside HTML text or a quoted attribute. Only needed
+   * for the rare string that has to go through innerHTML; prefer `h()`.
+   * @param {*} value
+   */
+  function escapeHtml(value) {
+    return String(value == null ? '' : value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * Return `url` if it is a relative path, an http(s) URL or a base64 image
+   * data URL; otherwise return `fallback`.
+   * @param {*} url
+   * @param {string} fallback
+   */
+  function safeUrl(url, fallback) {
+    if (typeof url !== 'string') return fallback;
+    const trimmed = url.trim();
+    if (!trimmed) return fallback;
+    if (SAFE_DATA_IMAGE.test(trimmed)) return trimmed;
+
+    let parsed;
+    try {
+      parsed = new URL(trimmed, window.location.href);
+    } catch (err) {
+      return fallback;
+    }
+    // Relative paths resolve against the page, so they pick up its (safe) protocol
+    return SAFE_URL_PROTOCOLS.includes(parsed.protocol) ? trimmed : fallback;
+  }
+
+  /**
+   * Like `safeUrl()`, falling back to the Holy Hands logo for menu photos.
+   */
+  function safeImageUrl(url, fallback = 'holyhandslogo.png') {
+    return safeUrl(url, fallback);
+  }
+
+  /**
+   * Split a srcset list into [url, descriptors] pairs the way browsers read
+   * it: a URL runs to the next whitespace (data: URLs contain commas), and its
+   * descriptors run to the next comma.
+   */
+  function parseSrcset(srcset) {
+    const candidates = [];
+    let i = 0;
+    while (i < srcset.length) {
+      while (i < srcset.length && /[\s,]/.test(srcset[i])) i += 1;
+      if (i >= srcset.length) break;
+
+      const start = i;
+      while (i < srcset.length && !/\s/.test(srcset[i])) i += 1;
+      const url = srcset.slice(start, i);
+      if (url.endsWith(',')) {
+        candidates.push([url.replace(/,+$/, ''), '']);
+        continue;
+      }
+
+      const end = srcset.indexOf(',', i);
+      const stop = end < 0 ? srcset.length : end;
+      candidates.push([url, srcset.slice(i, stop).trim()]);
+      i = stop + 1;
+    }
+    return candidates;
+  }
+
+  /**
+   * Filter a srcset list ("a.webp 320w, b.webp 640w") down to candidates whose
+   * URLs pass `safeUrl()`. Returns '' if none do.
+   * @param {*} srcset
+   */
+  function safeSrcset(srcset) {
+    return parseSrcset(String(srcset == null ? '' : srcset))
+      .map(([url, descriptors]) => {
+        const safe = safeUrl(url, null);
+        return safe && [safe, descriptors].filter(Boolean).join(' ');
+      })
+      .filter(Boolean)
+      .join(', ');
+  }
+
+  function setProp(el, key, value) {
+    if (value == null || value === false) return;
+
+    if (key === 'className') {
+      el.className = value;
+    } else if (key === 'text') {
+      el.textContent = value;
+    } else if (key === 'dataset') {
+      Object.entries(value).forEach(([name, v]) => {
+        if (v != null) el.dataset[name] = String(v);
+      });
+    } else if (/^on/i.test(key)) {
+      // Event handlers are wired with addEventListener / delegation instead
+      throw new Error(`h(): inline handler "${key}" is not allowed`);
+    } else if (URL_ATTRIBUTES.includes(key.toLowerCase())) {
+      el.setAttribute(key, safeUrl(String(value), '#'));
+    } else if (SRCSET_ATTRIBUTES.includes(key.toLowerCase())) {
+      const srcset = safeSrcset(value);
+      if (srcset) el.setAttribute(key, srcset);
+    } else {
+      el.setAttribute(key, value === true ? '' : String(value));
+    }
+  }
+
+  /**
+   * Create an element. `props` maps attribute names to values, plus:
+   *   - className: class string
+   *   - text: textContent
+   *   - dataset: data-* attributes
+   * Children may be nodes, strings (inserted as text), or nested arrays;
+   * null/false children are skipped so conditional markup stays readable.
+   * @param {string} tag
+   * @param {object} [props]
+   * @param {...*} children
+   */
+  function h(tag, props, ...children) {
+    const el = document.createElement(tag);
+    Object.entries(props || {}).forEach(([key, value]) => setProp(el, key, value));
+    children.flat(Infinity).forEach((child) => {
+      if (child == null || child === false) return;
+      el.append(child instanceof Node ? child : String(child));
+    });
+    return el;
+  }
+
+  /**
+   * Replace all children of `parent` with `children`.
+   */
+  function replaceChildren(parent, ...children) {
+    parent.textContent = '';
+    children.flat(Infinity).forEach((child) => {
+      if (child == null || child === false) return;
+      parent.append(child instanceof Node ? child : String(child));
+    });
+    return parent;
+  }
+
+  window.HH_DOM = {
+    h,
+    replaceChildren,
+    escapeHtml,
+    safeUrl,
+    safeImageUrl,
+    safeSrcset,
+  };
+})();
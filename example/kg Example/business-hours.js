@@ -0,0 +1,70 @@
+/*
+ * KG Grill Kitchen – business hours
+ *
+ * The weekly schedule that opens and closes online ordering by itself. The
+ * schedule logic is the Holy Hands site's hours.js at the repo root
+ * (window.HH_HOURS), which pages load just before this file; only KG's own
+ * hours and wording live here. Times are wall-clock "HH:MM" in
+ * America/New_York, so every device gets the same answer wherever it is.
+ *
+ * The hours have to come from the owner and aren't filled in yet. Until
+ * `weekly` is set the schedule never closes ordering, and only the line
+ * board's "Pause ordering" toggle does. Once it is set, orders stop
+ * `cutoffMinutes` before each closing time so the grill isn't starting plates
+ * as the doors lock, and the toggle still closes ordering on top of it.
+ */
+(function() {
+  const { getOpenState: getScheduleState, formatMoment: formatScheduleMoment } = window.HH_HOURS;
+
+  const SCHEDULE = {
+    timeZone: 'America/New_York',
+    // ---- From the owner: KG's posted hours ----
+    // 0 = Sunday … 6 = Saturday, each a list of { open: 'HH:MM', close: 'HH:MM' }
+    // (an empty list means closed all day); null while we don't know them
+    weekly: null,
+    // Dates (YYYY-MM-DD, kitchen time) that replace the weekly hours
+    holidays: {},
+    // ----
+    // Last online order this many minutes before closing
+    cutoffMinutes: 20,
+  };
+
+  const MOMENT_PHRASES = {
+    today: 'at {time}',
+    tomorrow: 'tomorrow at {time}',
+    other: '{day} at {time}',
+  };
+
+  /**
+   * Whether online ordering is open at `now` by the schedule.
+   *
+   * Returns { open: true, lastOrderAt } while open, otherwise
+   * { open: false, opensAt } where opensAt is null if nothing opens within
+   * two weeks. lastOrderAt and opensAt are moments from hours.js ({ at,
+   * daysAhead, … }). Without weekly hours it is always open, with
+   * lastOrderAt null.
+   *
+   * @param {Date} [now]
+   * @param {object} [schedule]
+   */
+  function getOpenState(now = new Date(), schedule = SCHEDULE) {
+    if (!schedule.weekly) return { open: true, lastOrderAt: null };
+    const state = getScheduleState(now, schedule);
+    return state.open ? { open: true, lastOrderAt: state.closesAt } : state;
+  }
+
+  /**
+   * "at 11:30am", "tomorrow at 11:30am" or "Sat at 11:30am" in kitchen time,
+   * ready to follow "opens" or "last order".
+   */
+  function formatMoment(moment, schedule = SCHEDULE) {
+    return formatScheduleMoment(moment, schedule, { phrases: MOMENT_PHRASES })
+      .replace(/\s?([AP])M$/, (match, half) => `${half.toLowerCase()}m`);
+  }
+
+  window.KG_HOURS = {
+    SCHEDULE,
+    getOpenState,
+    formatMoment,
+  };
+})();
@@ -0,0 +1,100 @@
+/*
+ * KG Grill Kitchen – cart line identity
+ *
+ * A cart line is one item in one portion with one sauce and one free side.
+ * script.js finds, changes and merges lines only through these helpers, so
+ * editing "Beef Ribs – 2 ribs" can never touch the "1 rib" line.
+ *
+ * The helpers work on the array they are given (the page passes its `cart`)
+ * and change it in place. They don't touch the DOM or storage, and the file
+ * loads both as a browser script (window.KG_CART_LINES) and as a CommonJS
+ * module for the tests.
+ */
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.KG_CART_LINES = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  /**
+   * The identity of a cart line: item, portion, sauce and free side. Two lines
+   * with the same key are the same thing and are kept as one line.
+   */
+  function cartLineKey(line) {
+    return [line.id, line.plateOptionKey || '', line.sauce || '', line.freeSide || ''].join('|');
+  }
+
+  function findCartLine(lines, lineKey) {
+    return lines.find(line => cartLineKey(line) === lineKey);
+  }
+
+  /**
+   * Fold lines whose options now match into the first of them, keeping the
+   * cart in order.
+   */
+  function mergeCartLines(lines) {
+    for (let i = 0; i < lines.length; i += 1) {
+      const key = cartLineKey(lines[i]);
+      for (let j = lines.length - 1; j > i; j -= 1) {
+        if (cartLineKey(lines[j]) === key) {
+          lines[i].quantity += lines[j].quantity;
+          lines.splice(j, 1);
+        }
+      }
+    }
+    return lines;
+  }
+
+  /**
+   * Add `line` to the cart. If a line with the same key is already there, it
+   * takes the quantity and the current prices instead.
+   */
+  function addCartLine(lines, line) {
+    const existing = findCartLine(lines, cartLineKey(line));
+    if (!existing) {
+      lines.push(line);
+      return line;
+    }
+    existing.quantity += line.quantity;
+    existing.price = line.price;
+    existing.baseOnlinePrice = line.baseOnlinePrice;
+    existing.baseInlinePrice = line.baseInlinePrice;
+    return existing;
+  }
+
+  /**
+   * Set a line's sauce or free side (`field`), merging it into any line it
+   * now matches. Returns false if no line has that key.
+   */
+  function setLineOption(lines, lineKey, field, value) {
+    const line = findCartLine(lines, lineKey);
+    if (!line) return false;
+    line[field] = value;
+    mergeCartLines(lines);
+    return true;
+  }
+
+  /**
+   * Add `delta` to a line's quantity, removing it at 0. Returns false if no
+   * line has that key.
+   */
+  function changeLineQuantity(lines, lineKey, delta) {
+    const index = lines.findIndex(line => cartLineKey(line) === lineKey);
+    if (index < 0) return false;
+    lines[index].quantity += delta;
+    if (lines[index].quantity <= 0) {
+      lines.splice(index, 1);
+    }
+    return true;
+  }
+
+  return {
+    cartLineKey,
+    findCartLine,
+    mergeCartLines,
+    addCartLine,
+    setLineOption,
+    changeLineQuantity,
+  };
+});
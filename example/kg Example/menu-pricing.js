@@ -0,0 +1,212 @@
+/*
+ * KG Grill Kitchen – menu pricing rules
+ *
+ * The pure half of pricing-data.js: checking a catalog, deriving in-line
+ * prices and applying the kitchen's overrides. Nothing here touches the DOM,
+ * storage or the network, and the file loads both as a browser script
+ * (window.KG_MENU_PRICING) and as a CommonJS module, so the ordering page
+ * and a backend re-checking an order price it the same way.
+ */
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.KG_MENU_PRICING = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  function describeType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+  }
+
+  function matchesType(value, type) {
+    const actual = describeType(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+  }
+
+  /**
+   * Check a value against the subset of JSON Schema (draft-07) that
+   * menu-catalog.schema.json uses: $ref to #/definitions, type, required,
+   * properties, additionalProperties, items, minItems, minimum, minLength and
+   * pattern. Returns a list of "path: problem" messages.
+   */
+  function validateSchema(value, schema, root = schema, path = 'catalog') {
+    if (schema.$ref) {
+      const name = schema.$ref.replace('#/definitions/', '');
+      return validateSchema(value, root.definitions[name], root, path);
+    }
+
+    if (schema.type) {
+      const types = [].concat(schema.type);
+      if (!types.some(type => matchesType(value, type))) {
+        return [`${path}: expected ${types.join(' or ')}, got ${describeType(value)}`];
+      }
+    }
+
+    const errors = [];
+
+    if (describeType(value) === 'object') {
+      const properties = schema.properties || {};
+      (schema.required || []).forEach(key => {
+        if (!(key in value)) errors.push(`${path}: missing "${key}"`);
+      });
+      Object.entries(value).forEach(([key, child]) => {
+        const childPath = `${path}.${key}`;
+        if (properties[key]) {
+          errors.push(...validateSchema(child, properties[key], root, childPath));
+        } else if (schema.additionalProperties === false) {
+          errors.push(`${path}: unexpected "${key}"`);
+        } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+          errors.push(...validateSchema(child, schema.additionalProperties, root, childPath));
+        }
+      });
+    }
+
+    if (Array.isArray(value)) {
+      if (schema.minItems != null && value.length < schema.minItems) {
+        errors.push(`${path}: needs at least ${schema.minItems} entries`);
+      }
+      if (schema.items) {
+        value.forEach((child, index) => {
+          errors.push(...validateSchema(child, schema.items, root, `${path}[${index}]`));
+        });
+      }
+    }
+
+    if (typeof value === 'number' && schema.minimum != null && value < schema.minimum) {
+      errors.push(`${path}: must be at least ${schema.minimum}, got ${value}`);
+    }
+
+    if (typeof value === 'string') {
+      if (schema.minLength != null && value.length < schema.minLength) {
+        errors.push(`${path}: must not be empty`);
+      }
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        errors.push(`${path}: "${value}" does not match ${schema.pattern}`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate a catalog: its shape against the schema, then the rules JSON
+   * Schema can't express (unique ids, portions that point at real items).
+   * Returns a list of problems; an empty list means the catalog is usable.
+   */
+  function validateCatalog(catalog, schema) {
+    const errors = validateSchema(catalog, schema);
+    if (errors.length) return errors;
+
+    const itemIds = new Set();
+    catalog.mains.concat(catalog.sides).forEach(item => {
+      if (itemIds.has(item.id)) errors.push(`Duplicate item id "${item.id}"`);
+      itemIds.add(item.id);
+    });
+
+    Object.entries(catalog.portionOptions).forEach(([itemId, options]) => {
+      if (!itemIds.has(itemId)) errors.push(`portionOptions refers to unknown item "${itemId}"`);
+      const keys = new Set();
+      options.forEach(opt => {
+        if (keys.has(opt.key)) errors.push(`Duplicate portion "${opt.key}" for "${itemId}"`);
+        keys.add(opt.key);
+      });
+    });
+
+    return errors;
+  }
+
+  /**
+   * In-line price for an item sold at a single price: X.50 loses its 50¢,
+   * $16 becomes $15, and single-piece sides are $3.
+   */
+  function computeInlineBasePrice(basePrice, itemId) {
+    let price = basePrice;
+
+    if (['side_chicken_wing', 'side_chicken_kabob', 'side_beef_kabob', 'side_shrimp_kabob'].includes(itemId)) {
+      return 3.0;
+    }
+
+    const cents = Math.round(price * 100);
+    if (cents % 100 === 50) {
+      price = (cents - 50) / 100;
+    }
+
+    if (Math.abs(price - 16) < 0.001) {
+      price = 15;
+    }
+
+    return price;
+  }
+
+  /**
+   * Online price, in-line price and the markup between them for every item
+   * and portion in a catalog ({ mains, sides, portionOptions }).
+   */
+  function buildBaselinePricing(catalog) {
+    const allItems = catalog.mains.concat(catalog.sides);
+    const baseline = { items: {}, portions: {} };
+
+    allItems.forEach(item => {
+      const inlinePrice = computeInlineBasePrice(item.price, item.id);
+      baseline.items[item.id] = {
+        inlinePrice,
+        onlinePrice: item.price,
+        markup: item.price - inlinePrice,
+      };
+    });
+
+    Object.entries(catalog.portionOptions).forEach(([itemId, options]) => {
+      baseline.portions[itemId] = {};
+      options.forEach(opt => {
+        baseline.portions[itemId][opt.key] = {
+          inlinePrice: opt.inlinePrice,
+          onlinePrice: opt.onlinePrice,
+          markup: opt.onlinePrice - opt.inlinePrice,
+          label: opt.label,
+        };
+      });
+    });
+
+    return baseline;
+  }
+
+  // An override price, or null if it isn't one (not a number, or below 0)
+  function readNumber(val) {
+    const num = parseFloat(val);
+    return Number.isFinite(num) && num >= 0 ? num : null;
+  }
+
+  /**
+   * Prices for an item (or one of its portions) after the kitchen's in-line
+   * overrides: { inline, online, markup }, or null if the catalog doesn't
+   * have it. The online price keeps the baseline markup over the in-line one.
+   */
+  function getEffectivePrices(baseline, itemId, portionKey = null, overrides = {}) {
+    if (portionKey) {
+      const base = baseline.portions?.[itemId]?.[portionKey];
+      if (!base) return null;
+      const overrideInline = readNumber(overrides.portions?.[itemId]?.[portionKey]);
+      const inline = overrideInline != null ? overrideInline : base.inlinePrice;
+      const online = inline + base.markup;
+      return { inline, online, markup: base.markup };
+    }
+
+    const base = baseline.items?.[itemId];
+    if (!base) return null;
+    const overrideInline = readNumber(overrides.items?.[itemId]);
+    const inline = overrideInline != null ? overrideInline : base.inlinePrice;
+    const online = inline + base.markup;
+    return { inline, online, markup: base.markup };
+  }
+
+  return {
+    validateSchema,
+    validateCatalog,
+    computeInlineBasePrice,
+    buildBaselinePricing,
+    getEffectivePrices,
+  };
+});
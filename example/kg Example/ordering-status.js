@@ -0,0 +1,186 @@
+(function() {
+  const ORDERING_STATUS_STORAGE_KEY = 'kgOrderingStatus';
+  const DEFAULT_CLOSED_MESSAGE = 'Sorry, we are currently closed. Please check back when we are open.';
+  // Reopening times are shown on the kitchen's clock (see business-hours.js)
+  const KITCHEN_TIME_ZONE = 'America/New_York';
+
+  /*
+   * Whether online ordering is open lives on the backend, so pausing it on the
+   * line board reaches every customer:
+   *
+   *   GET <url>  → { closed, message, redirect, reopenAt, updatedAt }
+   *   PUT <url>  { closed, message, redirect, reopenAt } → the saved status,
+   *              or 401 without the kitchen key
+   *
+   * `redirect` sends customers to closed.html while ordering is paused.
+   * `reopenAt` (ISO time, optional) reopens ordering automatically; pages
+   * treat the status as open from that moment even before the backend flips
+   * it. The last status we saw is kept in localStorage so pages render it
+   * straight away and other tabs hear about changes via the `storage` event.
+   * Callers pass the URL (built from their API base).
+   */
+  function normalizeStatus(raw) {
+    const reopenAt = raw?.reopenAt && !Number.isNaN(Date.parse(raw.reopenAt)) ? raw.reopenAt : null;
+    return {
+      closed: Boolean(raw?.closed),
+      message: (typeof raw?.message === 'string' && raw.message.trim()) || DEFAULT_CLOSED_MESSAGE,
+      redirect: Boolean(raw?.redirect),
+      reopenAt,
+      updatedAt: raw?.updatedAt || null,
+    };
+  }
+
+  function isOrderingClosed(status, now = Date.now()) {
+    if (!status.closed) return false;
+    return !(status.reopenAt && now >= Date.parse(status.reopenAt));
+  }
+
+  function readCachedStatus() {
+    try {
+      return normalizeStatus(JSON.parse(localStorage.getItem(ORDERING_STATUS_STORAGE_KEY) || 'null'));
+    } catch (err) {
+      console.warn('Could not read ordering status', err);
+      return normalizeStatus(null);
+    }
+  }
+
+  function cacheStatus(status) {
+    try {
+      localStorage.setItem(ORDERING_STATUS_STORAGE_KEY, JSON.stringify(status));
+    } catch (err) {
+      console.warn('Could not persist ordering status', err);
+    }
+  }
+
+  /**
+   * Fetch the current status from the backend and cache it. Rejects if the
+   * backend can't be reached; the cached status stays in place.
+   */
+  async function fetchOrderingStatus(url) {
+    const res = await fetch(url, { cache: 'no-store' });
+    if (!res.ok) throw new Error(`Could not load ordering status (HTTP ${res.status})`);
+    const status = normalizeStatus(await res.json());
+    cacheStatus(status);
+    return status;
+  }
+
+  /**
+   * Save a new status to the backend, sending `headers` (the kitchen key).
+   * Resolves to the saved status; rejects if it could not be saved, in which
+   * case customers still see the old one. The error has `unauthorized` set
+   * if the backend refused the key.
+   */
+  async function saveOrderingStatus(url, next, { headers = {} } = {}) {
+    const status = normalizeStatus(next);
+    const res = await fetch(url, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify({
+        closed: status.closed,
+        message: status.message,
+        redirect: status.redirect,
+        reopenAt: status.reopenAt,
+      }),
+    });
+    const data = await res.json().catch(() => ({}));
+    if (res.status === 401) {
+      const err = new Error(data.error || 'The kitchen key was not accepted');
+      err.unauthorized = true;
+      throw err;
+    }
+    if (!res.ok) throw new Error(data.error || `Could not save ordering status (HTTP ${res.status})`);
+    const saved = normalizeStatus(data.closed === undefined ? status : data);
+    cacheStatus(saved);
+    return saved;
+  }
+
+  /**
+   * Keep a page up to date: calls `onChange(status)` with the cached status
+   * now (or the backend's, once fetched, if nothing is cached), then whenever
+   * a poll, another tab or the reopen time changes it.
+   * Polls every `intervalMs` while the page is visible and when it comes back
+   * into view. Returns a function that stops watching.
+   */
+  function watchOrderingStatus(url, onChange, { intervalMs = 30 * 1000 } = {}) {
+    let current = readCachedStatus();
+    let published = false;
+    let reopenTimer = null;
+
+    function publish(status) {
+      current = status;
+      published = true;
+      clearTimeout(reopenTimer);
+      // Re-run at the reopen time so the page opens without waiting for a poll
+      const untilReopen = status.closed && status.reopenAt ? Date.parse(status.reopenAt) - Date.now() : -1;
+      if (untilReopen > 0) {
+        reopenTimer = setTimeout(() => onChange(current), Math.min(untilReopen + 1000, 2 ** 31 - 1));
+      }
+      onChange(status);
+    }
+
+    async function poll() {
+      if (document.hidden) return;
+      try {
+        const next = await fetchOrderingStatus(url);
+        if (!published || JSON.stringify(next) !== JSON.stringify(current)) publish(next);
+      } catch (err) {
+        console.warn('Could not refresh ordering status, using the last one', err);
+      }
+    }
+
+    function onStorage(event) {
+      if (event.key === ORDERING_STATUS_STORAGE_KEY) publish(readCachedStatus());
+    }
+
+    // With nothing cached yet, wait for the backend rather than assume we're open
+    let hasCached = false;
+    try {
+      hasCached = localStorage.getItem(ORDERING_STATUS_STORAGE_KEY) != null;
+    } catch (err) {
+      // Storage blocked; the first poll decides
+    }
+    if (hasCached) publish(current);
+    poll();
+    const pollTimer = setInterval(poll, intervalMs);
+    document.addEventListener('visibilitychange', poll);
+    window.addEventListener('storage', onStorage);
+
+    return () => {
+      clearInterval(pollTimer);
+      clearTimeout(reopenTimer);
+      document.removeEventListener('visibilitychange', poll);
+      window.removeEventListener('storage', onStorage);
+    };
+  }
+
+  /**
+   * "5:00 PM EDT" today, or "Sat 5:00 PM EST" on another day, in kitchen time
+   * whatever the device's own time zone is.
+   */
+  function formatReopenTime(reopenAt, now = new Date()) {
+    const at = new Date(reopenAt);
+    const kitchenDate = (date) => new Intl.DateTimeFormat('en-US', { timeZone: KITCHEN_TIME_ZONE }).format(date);
+    const sameDay = kitchenDate(at) === kitchenDate(now);
+    const time = new Intl.DateTimeFormat('en-US', {
+      timeZone: KITCHEN_TIME_ZONE,
+      hour: 'numeric',
+      minute: '2-digit',
+      timeZoneName: 'short',
+    }).format(at);
+    if (sameDay) return time;
+    const day = new Intl.DateTimeFormat('en-US', { timeZone: KITCHEN_TIME_ZONE, weekday: 'short' }).format(at);
+    return `${day} ${time}`;
+  }
+
+  window.KG_ORDERING_STATUS = {
+    ORDERING_STATUS_STORAGE_KEY,
+    DEFAULT_CLOSED_MESSAGE,
+    normalizeStatus,
+    isOrderingClosed,
+    readCachedStatus,
+    fetchOrderingStatus,
+    saveOrderingStatus,
+    watchOrderingStatus,
+    formatReopenTime,
+  };
+})();
@@ -12,16 +12,33 @@
  */
 
 const {
-  mains = [],
-  sides = [],
-  portionOptions = {},
   getEffectivePrices,
   loadPriceOverrides,
-  savePriceOverrides,
+  fetchPriceOverrides,
   PRICE_OVERRIDE_STORAGE_KEY,
   computeInlineBasePrice: providedComputeInlineBasePrice,
 } = window.KG_MENU_DATA || {};
 
+// Every amount the customer pays comes from totals.js, in cents
+const {
+  PRICING: TOTALS_PRICING,
+  toCents,
+  distanceMiles,
+  computeTotals,
+  computeDeliveryFee,
+  computeTip,
+  feeLines,
+} = window.KG_TOTALS;
+
+// Cart lines are found, changed and merged by their key (see cart-lines.js)
+const {
+  cartLineKey,
+  mergeCartLines,
+  addCartLine,
+  setLineOption,
+  changeLineQuantity,
+} = window.KG_CART_LINES;
+
 const computeInlineBasePrice = providedComputeInlineBasePrice || function computeInlineBasePrice(basePrice, itemId) {
   let price = basePrice;
 
@@ -44,7 +61,14 @@ const computeInlineBasePrice = providedComputeInlineBasePrice || function comput
   return price;
 };
 
-let priceOverrides = loadPriceOverrides ? loadPriceOverrides() : { items: {}, portions: {} };
+// Menu definitions from the catalog (menu-catalog.json), filled in by
+// loadMenuData() before anything is rendered
+let mains = [];
+let sides = [];
+let portionOptions = {};
+let menuVersion = null;
+
+let priceOverrides = { items: {}, portions: {} };
 
 /* --------------------------------------------------------------------------
  * Eligibility helpers
@@ -53,12 +77,10 @@ let priceOverrides = loadPriceOverrides ? loadPriceOverrides() : { items: {}, po
  * Likewise, certain mains let the guest choose a sauce. Use sets to identify
  * these items for easy lookups when adding to the cart and rendering.
  */
-// IDs of mains that allow a free side (all except burgers, patties, and KG Surprise)
-const freeSideEligibleIds = new Set(
-  mains
-    .filter(item => !['beef_burgers', 'beef_patties', 'kg_mystery'].includes(item.id))
-    .map(item => item.id)
-);
+// IDs of mains that allow a free side (all except burgers, patties, and KG Surprise);
+// filled in by loadMenuData()
+const noFreeSideIds = ['beef_burgers', 'beef_patties', 'kg_mystery'];
+const freeSideEligibleIds = new Set();
 // IDs of mains that allow sauce selection
 const sauceEligibleIds = new Set([
   'beef_ribs', 'beef_burgers', 'chicken_wings', 'chicken_quarter',
@@ -72,8 +94,13 @@ const freeSideChoices = [
   { id: 'potato_wedges', name: 'Potato Wedges' },
 ];
 
-// In-memory cart
+// In-memory cart, mirrored to localStorage (see saveCart/restoreCart)
 const cart = [];
+const CART_STORAGE_KEY = 'kg_cart';
+// Bump when the saved shape changes; older saved carts are dropped
+const CART_SCHEMA_VERSION = 1;
+// A cart left longer than this is stale and starts over empty
+const CART_MAX_AGE_HOURS = 12;
 
 // ---------------------------------------------------------------------------
 // Gamification: Grill Points & Upsell helpers
@@ -347,49 +374,78 @@ function updateCartUpsell(subtotal) {
 
 
 // Restaurant coordinates (approximate location near 5750 Baltimore Ave)
-const restaurantCoords = { lat: 39.9448, lon: -75.2390 }; // ~58th & Baltimore
+const restaurantCoords = TOTALS_PRICING.delivery.origin; // ~58th & Baltimore
 const INLINE_RADIUS_MILES = 1.0; // ordering distance from orgin
 let userCoords = null;
-let deliveryFee = 0;
+// Distance and fee for the delivery address; both null until it has been
+// placed on the map, and the fee stays null when it is out of range
+let deliveryMiles = null;
+let deliveryFeeCents = null;
+let deliveryLookupPending = false;
 let inMobileCheckout = false;
 let inlinePreviewMode = false;
 
-const ORDERING_STATUS_STORAGE_KEY = 'kgOrderingStatus';
-const DEFAULT_CLOSED_MESSAGE = 'Sorry, we are currently closed. Please check back when we are open.';
+// Open/closed status set from the line board (see ordering-status.js)
+const {
+  DEFAULT_CLOSED_MESSAGE,
+  isOrderingClosed,
+  readCachedStatus,
+  watchOrderingStatus,
+  formatReopenTime,
+} = window.KG_ORDERING_STATUS;
+// Weekly hours (see business-hours.js); the line board's pause sits on top
+const { getOpenState, formatMoment } = window.KG_HOURS;
+const HOURS_CHECK_MS = 60 * 1000;
 let orderingClosed = false;
 let orderingClosedMessage = DEFAULT_CLOSED_MESSAGE;
+let lastOrderingStatus = null;
 
 function readOrderingStatus() {
-  try {
-    const raw = localStorage.getItem(ORDERING_STATUS_STORAGE_KEY);
-    if (!raw) return { closed: false, message: DEFAULT_CLOSED_MESSAGE };
-    const parsed = JSON.parse(raw);
-    return {
-      closed: Boolean(parsed?.closed),
-      message: parsed?.message || DEFAULT_CLOSED_MESSAGE,
-    };
-  } catch (err) {
-    console.warn('Could not parse ordering status', err);
-    return { closed: false, message: DEFAULT_CLOSED_MESSAGE };
-  }
+  return readCachedStatus();
+}
+
+function scheduleClosedMessage(hours) {
+  return hours.opensAt
+    ? `We're closed right now. Online ordering opens ${formatMoment(hours.opensAt)}.`
+    : "We're closed right now. Please check back soon.";
 }
 
 function applyOrderingStatus(status) {
-  orderingClosed = !!status.closed;
-  orderingClosedMessage = status.message || DEFAULT_CLOSED_MESSAGE;
+  lastOrderingStatus = status;
+  const paused = isOrderingClosed(status);
+  const hours = getOpenState();
+  orderingClosed = paused || !hours.open;
+  // A pause from the line board explains itself; otherwise say when we open
+  orderingClosedMessage = paused
+    ? (status.message || DEFAULT_CLOSED_MESSAGE)
+    : scheduleClosedMessage(hours);
+
+  // The kitchen chose to send customers to the closed page instead of the menu
+  if (paused && status.redirect) {
+    window.location.replace('closed.html');
+    return;
+  }
+
+  const reopenText = paused && status.reopenAt
+    ? ` We reopen at ${formatReopenTime(status.reopenAt)}.`
+    : '';
 
   const banner = document.getElementById('orderingClosedBanner');
   const bannerMsg = document.getElementById('orderingClosedMessageText');
   if (banner && bannerMsg) {
-    bannerMsg.textContent = orderingClosedMessage;
+    const title = banner.querySelector('.ordering-closed-title');
+    if (title) title.textContent = paused ? 'Ordering is paused' : "We're closed";
+    bannerMsg.textContent = orderingClosedMessage + reopenText;
     banner.hidden = !orderingClosed;
   }
 
   const checkoutNote = document.getElementById('orderingClosedCheckoutNote');
   if (checkoutNote) {
-    checkoutNote.textContent = orderingClosed
-      ? `${orderingClosedMessage} Ordering is paused right now.`
-      : '';
+    checkoutNote.textContent = !orderingClosed
+      ? ''
+      : paused
+        ? `${orderingClosedMessage} Ordering is paused right now.${reopenText}`
+        : orderingClosedMessage;
     checkoutNote.hidden = !orderingClosed;
   }
 
@@ -398,7 +454,9 @@ function applyOrderingStatus(status) {
   const buttons = document.querySelectorAll('.add-to-cart-btn, .cart-upsell-btn, #checkoutButton, #placeOrderButton, #stripeCheckoutBtn');
   buttons.forEach((btn) => {
     if (!btn) return;
-    btn.disabled = orderingClosed || btn.classList.contains('inline-preview-disabled');
+    btn.disabled = orderingClosed
+      || btn.classList.contains('inline-preview-disabled')
+      || btn.classList.contains('delivery-unavailable-disabled');
     btn.classList.toggle('ordering-closed-disabled', orderingClosed);
   });
 }
@@ -407,6 +465,13 @@ function syncOrderingStatusFromStorage() {
   applyOrderingStatus(readOrderingStatus());
 }
 
+// Opens and closes the page as the schedule ticks over, between status changes
+function startHoursWatch() {
+  setInterval(() => {
+    applyOrderingStatus(lastOrderingStatus || readOrderingStatus());
+  }, HOURS_CHECK_MS);
+}
+
 function ensureOrderingOpenOrWarn() {
   if (!orderingClosed) return true;
   alert(orderingClosedMessage);
@@ -417,10 +482,10 @@ function ensureOrderingOpenOrWarn() {
 // Tip state. When delivery is selected, customers can optionally leave a tip. The
 // tip can be a percentage (e.g. 0.15 for 15%) or a custom flat amount. The
 // `currentTipPercent` is either a number (percentage) or the string 'custom'.
-// `currentTipAmount` stores the dollar amount of the tip. These values are
-// updated via the tip buttons and custom input.
+// `customTipCents` stores the custom amount; percentage tips are worked out by
+// getCartTotals(). These values are updated via the tip buttons and custom input.
 let currentTipPercent = 0;
-let currentTipAmount = 0;
+let customTipCents = 0;
 
 // Stripe variables
 let stripe = null;
@@ -431,30 +496,26 @@ let paymentRequestButton = null;
 let currentClientSecret = null;
 
 /**
- * Compute the monetary breakdown for the current cart and fulfilment selection.
- * Returns an object with subtotal, fees, deliveryFee, tip and grand total.
+ * The monetary breakdown for the current cart and fulfilment selection, in
+ * cents: subtotal, serviceFee, tax, fees (service + tax), deliveryFee,
+ * tipBase, tip and total. See computeTotals() in totals.js for the rules.
  */
-function computeTotals() {
-  // Subtotal is sum of unit price × quantity for all cart items
-  const subtotal = cart.reduce((sum, item) => sum + item.price * item.quantity, 0);
-
-  // Determine order type
-  const orderType = document.querySelector('input[name="orderType"]:checked')?.value || 'pickup';
+function getCartTotals() {
+  const orderType = getCurrentOrderType();
 
-  // Service & tax: 0 for in-line / in-store, 10% for pickup / delivery
-  let fees = 0;
+  // The in-line preview only applies while In-line is selected
   if (orderType !== 'inline') {
     setInlinePreviewMode(false);
   }
 
-  // ✅ Delivery fee: ONLY for delivery
-  const delivery = orderType === 'delivery' ? (deliveryFee || 0) : 0;
-
-  // ✅ Tip: ONLY for delivery
-  const tip = orderType === 'delivery' ? (currentTipAmount || 0) : 0;
-
-  const total = subtotal + fees + delivery + tip;
-  return { subtotal, fees, deliveryFee: delivery, tip, grand: total };
+  return computeTotals({
+    lines: cart.map(item => ({ unitPrice: toCents(item.price), quantity: item.quantity })),
+    fulfilment: orderType,
+    deliveryFee: deliveryFeeCents,
+    tip: currentTipPercent === 'custom'
+      ? { cents: customTipCents }
+      : { percent: currentTipPercent },
+  });
 }
 
 
@@ -495,33 +556,19 @@ function formatCurrency(value) {
   return '$' + value.toFixed(2);
 }
 
+function formatCents(cents) {
+  return formatCurrency(cents / 100);
+}
+
 /**
  * Compute the great circle distance between two lat/lon pairs in miles using
  * the haversine formula.
  */
 function computeDistanceMiles(lat1, lon1, lat2, lon2) {
-  const toRad = deg => deg * Math.PI / 180;
-  const R = 6371; // Earth radius in km
-  const dLat = toRad(lat2 - lat1);
-  const dLon = toRad(lon2 - lon1);
-  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  const distanceKm = R * c;
-  return distanceKm * 0.621371; // convert to miles
-}
-
-/**
- * Calculate a delivery fee based on distance. You can adjust base and per mile
- * to suit your needs.
- * @param {number} distanceMiles
- */
-function computeDeliveryFee(distanceMiles) {
-  const baseFee = 3.0;
-  const perMile = 1.0;
-  return baseFee + (distanceMiles * perMile);
+  // Same formula the backend uses to check the delivery fee (totals.js)
+  return distanceMiles({ lat: lat1, lon: lon1 }, { lat: lat2, lon: lon2 });
 }
 
-
 /** Current fulfilment type helper */
 function getCurrentOrderType() {
   return document.querySelector('input[name="orderType"]:checked')?.value || 'pickup';
@@ -649,6 +696,72 @@ function applyPricingForOrderType() {
 }
 
 
+/**
+ * Wait for pricing-data.js to load and validate the menu catalog. On failure
+ * the menu stays empty and the customer is told to try again later.
+ */
+async function loadMenuData() {
+  try {
+    const data = await window.KG_MENU_DATA.ready;
+    mains = data.mains;
+    sides = data.sides;
+    portionOptions = data.portionOptions;
+    menuVersion = data.version;
+    mains
+      .filter(item => !noFreeSideIds.includes(item.id))
+      .forEach(item => freeSideEligibleIds.add(item.id));
+    priceOverrides = loadPriceOverrides ? loadPriceOverrides() : priceOverrides;
+    return true;
+  } catch (err) {
+    console.error('Could not load the menu catalog', err);
+    const mainsContainer = document.getElementById('mains-container');
+    if (mainsContainer) {
+      mainsContainer.innerHTML = '<p class="menu-load-error">Our menu could not be loaded right now. Please refresh the page or try again in a few minutes.</p>';
+    }
+    return false;
+  }
+}
+
+// How often customers re-check the kitchen's in-line price overrides
+const PRICE_OVERRIDE_POLL_MS = 60 * 1000;
+let priceOverridePollTimer = null;
+
+/**
+ * Re-read the cached overrides and re-price the menu and cart.
+ */
+function refreshMenuPrices() {
+  priceOverrides = loadPriceOverrides ? loadPriceOverrides() : priceOverrides;
+  applyPricingForOrderType();
+  renderMenu();
+  updateCartTotals();
+  updateCartButton();
+}
+
+/**
+ * Pull the latest overrides from the backend. Keeps the cached copy (and
+ * says nothing to the customer) if the backend can't be reached.
+ */
+async function syncPriceOverrides() {
+  if (!fetchPriceOverrides) return false;
+  try {
+    const { changed } = await fetchPriceOverrides(api('/price-overrides'));
+    return changed;
+  } catch (err) {
+    console.warn('Could not refresh price overrides, using the last copy', err);
+    return false;
+  }
+}
+
+function startPriceOverridePolling() {
+  const poll = async () => {
+    if (document.hidden) return;
+    if (await syncPriceOverrides()) refreshMenuPrices();
+  };
+  clearInterval(priceOverridePollTimer);
+  priceOverridePollTimer = setInterval(poll, PRICE_OVERRIDE_POLL_MS);
+  document.addEventListener('visibilitychange', poll);
+}
+
 /**
  * Render the menu cards for mains and sides into their respective
  * containers.
@@ -662,6 +775,9 @@ function renderMenu() {
     return;
   }
 
+  // Nothing to draw until the catalog has loaded (and keep its error if it failed)
+  if (!mains.length) return;
+
   const allItems = mains.concat(sides);
   const orderType = getCurrentOrderType();
 
@@ -757,11 +873,10 @@ function renderMenu() {
 
 
 /**
- * Add an item to the cart and update UI.
+ * A new cart line for one of `item` (in `portionOption` if it has portions),
+ * priced for the current order type with default sauce and free side.
  */
-function addToCart(item, portionOption = null) {
-  if (!ensureOrderingOpenOrWarn()) return;
-
+function buildCartLine(item, portionOption = null) {
   const orderType = getCurrentOrderType();
 
   const pricing = getEffectivePricingForItem(item, portionOption?.key || null);
@@ -784,42 +899,42 @@ function addToCart(item, portionOption = null) {
       ? (typeof baseInlinePrice === 'number' ? baseInlinePrice : baseOnlinePrice)
       : baseOnlinePrice;
 
-  // Treat different plate options as separate line items
-  const existing = cart.find(ci =>
-    ci.id === item.id &&
-    ((ci.plateOptionKey || null) === (plateOptionKey || null))
-  );
-
-  if (existing) {
-    existing.quantity += 1;
-    existing.price = effectivePrice;
-    existing.baseOnlinePrice = baseOnlinePrice;
-    existing.baseInlinePrice = baseInlinePrice;
-  } else {
-    const cartItem = {
-      ...item,
-      name: displayName,
-      quantity: 1,
-      price: effectivePrice,
-      baseOnlinePrice,
-      baseInlinePrice,
-    };
-
-    if (plateOptionKey) {
-      cartItem.plateOptionKey = plateOptionKey;
-      cartItem.plateOptionLabel = plateOptionLabel;
-    }
+  const cartItem = {
+    ...item,
+    name: displayName,
+    quantity: 1,
+    price: effectivePrice,
+    baseOnlinePrice,
+    baseInlinePrice,
+  };
 
-    if (sauceEligibleIds.has(item.id)) {
-      cartItem.sauce = 'none';
-    }
-    if (freeSideEligibleIds.has(item.id)) {
-      cartItem.freeSide = freeSideChoices[0]?.id || '';
-    }
+  if (plateOptionKey) {
+    cartItem.plateOptionKey = plateOptionKey;
+    cartItem.plateOptionLabel = plateOptionLabel;
+  }
 
-    cart.push(cartItem);
+  if (sauceEligibleIds.has(item.id)) {
+    cartItem.sauce = 'none';
+  }
+  if (freeSideEligibleIds.has(item.id)) {
+    cartItem.freeSide = freeSideChoices[0]?.id || '';
   }
 
+  return cartItem;
+}
+
+/**
+ * Add an item to the cart and update UI.
+ */
+function addToCart(item, portionOption = null) {
+  if (!ensureOrderingOpenOrWarn()) return;
+
+  const cartItem = buildCartLine(item, portionOption);
+
+  // Each portion/sauce/side combination is its own line
+  addCartLine(cart, cartItem);
+  saveCart();
+
   // 🎮 Gamification: award Grill Points for every add (use original item)
   awardGrillPointsForItem(item);
 
@@ -837,6 +952,7 @@ function renderCart() {
   const cartContainer = document.getElementById('cartItems');
   cartContainer.innerHTML = '';
   cart.forEach(item => {
+    const lineKey = cartLineKey(item);
     const row = document.createElement('div');
     row.className = 'cart-item';
     // Build the cart item row. Include optional selects for free sides and sauces
@@ -850,7 +966,7 @@ function renderCart() {
       freeSideHTML = `
         <div class="free-side-select">
           <label>Free side:
-            <select data-type="freeSide" data-id="${item.id}">
+            <select data-type="freeSide">
               <option value="" ${item.freeSide === '' ? 'selected' : ''}>None</option>
               ${opts}
             </select>
@@ -863,7 +979,7 @@ function renderCart() {
       sauceHTML = `
         <div class="sauce-select">
           <label>Sauce:
-            <select data-type="sauce" data-id="${item.id}">
+            <select data-type="sauce">
               <option value="none" ${item.sauce === 'none' ? 'selected' : ''}>No sauce</option>
               <option value="mild" ${item.sauce === 'mild' ? 'selected' : ''}>Mild</option>
               <option value="hot" ${item.sauce === 'hot' ? 'selected' : ''}>Hot</option>
@@ -887,25 +1003,12 @@ function renderCart() {
       </div>
     `;
     const [decreaseBtn, increaseBtn] = row.querySelectorAll('button');
-    decreaseBtn.addEventListener('click', () => updateQuantity(item.id, -1));
-    increaseBtn.addEventListener('click', () => updateQuantity(item.id, 1));
+    decreaseBtn.addEventListener('click', () => updateQuantity(lineKey, -1));
+    increaseBtn.addEventListener('click', () => updateQuantity(lineKey, 1));
     // Attach change listeners for selects after they are added
-    row.querySelectorAll('select[data-type="freeSide"]').forEach(sel => {
+    row.querySelectorAll('select[data-type]').forEach(sel => {
       sel.addEventListener('change', (e) => {
-        const id = e.target.getAttribute('data-id');
-        const cartItem = cart.find(ci => ci.id === id);
-        if (cartItem) {
-          cartItem.freeSide = e.target.value;
-        }
-      });
-    });
-    row.querySelectorAll('select[data-type="sauce"]').forEach(sel => {
-      sel.addEventListener('change', (e) => {
-        const id = e.target.getAttribute('data-id');
-        const cartItem = cart.find(ci => ci.id === id);
-        if (cartItem) {
-          cartItem.sauce = e.target.value;
-        }
+        updateLineOption(lineKey, e.target.getAttribute('data-type'), e.target.value);
       });
     });
     cartContainer.appendChild(row);
@@ -915,32 +1018,113 @@ function renderCart() {
 }
 
 /**
- * Update item quantity in cart.
+ * Change a line's free side or sauce. A line that now matches another one is
+ * merged into it.
+ */
+function updateLineOption(lineKey, field, value) {
+  if (!setLineOption(cart, lineKey, field, value)) return;
+  saveCart();
+  renderCart();
+  updateCartButton();
+}
+
+/**
+ * Update the quantity of the cart line with the given key.
+ */
+function updateQuantity(lineKey, delta) {
+  if (!changeLineQuantity(cart, lineKey, delta)) return;
+  saveCart();
+  renderCart();
+  updateCartButton();
+}
+
+/**
+ * Save the cart so it survives a reload or a trip to Stripe Checkout and
+ * back. Only what identifies each line is kept; prices are worked out again
+ * from the menu when it is restored.
  */
-function updateQuantity(itemId, delta) {
-  const idx = cart.findIndex(ci => ci.id === itemId);
-  if (idx >= 0) {
-    cart[idx].quantity += delta;
-    if (cart[idx].quantity <= 0) {
-      cart.splice(idx, 1);
+function saveCart() {
+  try {
+    if (!cart.length) {
+      localStorage.removeItem(CART_STORAGE_KEY);
+      return;
     }
-    renderCart();
-    updateCartButton();
+    localStorage.setItem(CART_STORAGE_KEY, JSON.stringify({
+      version: CART_SCHEMA_VERSION,
+      savedAt: new Date().toISOString(),
+      menuVersion,
+      lines: cart.map(ci => ({
+        id: ci.id,
+        plateOptionKey: ci.plateOptionKey || null,
+        sauce: ci.sauce ?? null,
+        freeSide: ci.freeSide ?? null,
+        quantity: ci.quantity,
+      })),
+    }));
+  } catch (err) {
+    console.warn('Could not save cart', err);
   }
 }
 
+/**
+ * Put the saved cart back, priced from the loaded menu and current overrides.
+ * Saved carts from an older schema or older than CART_MAX_AGE_HOURS are
+ * dropped, as are lines for items or portions no longer on the menu. Needs
+ * the menu to be loaded first.
+ */
+function restoreCart() {
+  let saved = null;
+  try {
+    saved = JSON.parse(localStorage.getItem(CART_STORAGE_KEY) || 'null');
+  } catch (err) {
+    console.warn('Could not read saved cart', err);
+  }
+  if (!saved) return;
+
+  const age = Date.now() - Date.parse(saved.savedAt);
+  if (saved.version !== CART_SCHEMA_VERSION || !(age < CART_MAX_AGE_HOURS * 60 * 60 * 1000)) {
+    localStorage.removeItem(CART_STORAGE_KEY);
+    return;
+  }
+
+  const allItems = mains.concat(sides);
+  cart.length = 0;
+  (Array.isArray(saved.lines) ? saved.lines : []).forEach(line => {
+    const item = allItems.find(i => i.id === line.id);
+    const quantity = Math.floor(Number(line.quantity));
+    if (!item || !(quantity > 0)) return;
+
+    let portionOption = null;
+    if (portionOptions[item.id]) {
+      portionOption = portionOptions[item.id].find(o => o.key === line.plateOptionKey);
+      if (!portionOption) return;
+    }
+
+    const cartItem = buildCartLine(item, portionOption);
+    cartItem.quantity = quantity;
+    if (cartItem.sauce !== undefined && ['none', 'mild', 'hot'].includes(line.sauce)) {
+      cartItem.sauce = line.sauce;
+    }
+    if (cartItem.freeSide !== undefined &&
+        (line.freeSide === '' || freeSideChoices.some(c => c.id === line.freeSide))) {
+      cartItem.freeSide = line.freeSide;
+    }
+    cart.push(cartItem);
+  });
+  mergeCartLines(cart);
+  saveCart();
+}
+
 /**
  * Compute and update subtotal, delivery fee, fees and total. Also toggles the
  * visibility of delivery and fees rows in the cart.
  */
 function updateCartTotals() {
   // Use the same totals helper everywhere so UI and backend stay in sync
-  const totals = computeTotals();
-  const subtotal = totals.subtotal;
-  let total = totals.grand;
+  const totals = getCartTotals();
 
   // 🎮 Update cart-level upsell suggestions
-  updateCartUpsell(subtotal);
+  updateCartUpsell(totals.subtotal / 100);
 
   const orderType = document.querySelector('input[name="orderType"]:checked')?.value || 'pickup';
 
@@ -950,61 +1134,67 @@ function updateCartTotals() {
   if (orderType === 'delivery' && totals.deliveryFee > 0) {
     deliveryRow.hidden = false;
     if (deliveryFeeEl) {
-      deliveryFeeEl.textContent = formatCurrency(totals.deliveryFee);
+      deliveryFeeEl.textContent = formatCents(totals.deliveryFee);
     }
   } else {
     deliveryRow.hidden = true;
     if (deliveryFeeEl) {
-      deliveryFeeEl.textContent = formatCurrency(0);
+      deliveryFeeEl.textContent = formatCents(0);
     }
   }
 
-  // Service & tax row – HIDDEN for in-line / in-store
-  const feesRow = document.getElementById('feesRow');
-  const cartFees = document.getElementById('cartFees');
-  if (orderType === 'inline' || subtotal === 0 || totals.fees <= 0) {
-    if (feesRow) feesRow.hidden = true;
-    if (cartFees) cartFees.textContent = formatCurrency(0);
-  } else {
-    if (feesRow) feesRow.hidden = false;
-    if (cartFees) cartFees.textContent = formatCurrency(totals.fees);
+  // Delivery needs a known distance within range before anyone can pay
+  const deliveryProblem = getDeliveryProblem();
+  setDeliveryUnavailable(Boolean(deliveryProblem));
+  if (orderType === 'delivery' && deliveryMiles == null) {
+    document.getElementById('distanceSummary').textContent = deliveryProblem;
   }
 
-  const tipAmount = totals.tip || 0;
+  // Service fee and sales tax rows, each labelled with its rate – hidden
+  // while it is 0 (always for in-line / in-store)
+  const fees = feeLines(totals);
+  [['service_fee', 'serviceFeeRow'], ['sales_tax', 'taxRow']].forEach(([id, rowId]) => {
+    const row = document.getElementById(rowId);
+    const fee = fees.find((line) => line.id === id);
+    if (!row) return;
+    row.hidden = !fee;
+    row.firstElementChild.textContent = fee ? fee.label : '';
+    row.lastElementChild.textContent = formatCents(fee ? fee.cents : 0);
+  });
 
   // Update displayed subtotal and total
-  document.getElementById('cartSubtotal').textContent = formatCurrency(subtotal);
-  document.getElementById('cartTotal').textContent = formatCurrency(total);
+  document.getElementById('cartSubtotal').textContent = formatCents(totals.subtotal);
+  document.getElementById('cartTotal').textContent = formatCents(totals.total);
 
   // Update PaymentRequest total for Apple Pay / Google Pay
   if (paymentRequest && typeof paymentRequest.update === 'function') {
     const displayItems = [];
-    displayItems.push({ label: 'Subtotal', amount: Math.round(subtotal * 100) });
+    displayItems.push({ label: 'Subtotal', amount: totals.subtotal });
 
-    if (orderType === 'delivery' && totals.deliveryFee > 0) {
+    if (totals.deliveryFee > 0) {
       displayItems.push({
         label: 'Delivery fee',
-        amount: Math.round(totals.deliveryFee * 100),
+        amount: totals.deliveryFee,
       });
     }
 
-    // Only show Service & tax for pickup / delivery, never for in-line
-    if (orderType !== 'inline' && totals.fees > 0) {
+    // Service fee and sales tax, each on its own line (never for in-line)
+    fees.forEach((fee) => {
       displayItems.push({
-        label: 'Service & tax',
-        amount: Math.round(totals.fees * 100),
+        label: fee.label,
+        amount: fee.cents,
       });
-    }
+    });
 
-    if (tipAmount > 0) {
+    if (totals.tip > 0) {
       displayItems.push({
         label: 'Tip',
-        amount: Math.round(tipAmount * 100),
+        amount: totals.tip,
       });
     }
 
     paymentRequest.update({
-      total: { label: 'KG Grill Kitchen', amount: Math.round(total * 100) },
+      total: { label: 'KG Grill Kitchen', amount: totals.total },
       displayItems,
     });
   }
@@ -1030,16 +1220,14 @@ function updateTipSection() {
   if (orderType !== 'delivery' || cart.length === 0) {
     tipSection.hidden = true;
     currentTipPercent = 0;
-    currentTipAmount = 0;
+    customTipCents = 0;
     const tipAmountEl = document.getElementById('tipAmount');
-    if (tipAmountEl) tipAmountEl.textContent = formatCurrency(0);
+    if (tipAmountEl) tipAmountEl.textContent = formatCents(0);
     return;
   }
   tipSection.hidden = false;
-  // Calculate base for percentage tips: subtotal + fees + delivery
-  const subtotal = cart.reduce((sum, item) => sum + item.price * item.quantity, 0);
-  const fees = subtotal * 0.1;
-  const base = subtotal + fees + (deliveryFee || 0);
+  // Percentage tips are on the tip base: subtotal + service & tax + delivery
+  const totals = getCartTotals();
   // Update button labels with dollar amounts
   document.querySelectorAll('.tip-button[data-tip-percent]').forEach(btn => {
     const pctAttr = btn.getAttribute('data-tip-percent');
@@ -1048,8 +1236,7 @@ function updateTipSection() {
       return;
     }
     const pct = parseFloat(pctAttr);
-    const amt = base * pct;
-    btn.textContent = `${Math.round(pct * 100)}% (${formatCurrency(amt)})`;
+    btn.textContent = `${Math.round(pct * 100)}% (${formatCents(computeTip(totals.tipBase, pct))})`;
     // Highlight selected button
     if (currentTipPercent === pct) {
       btn.classList.add('selected');
@@ -1064,7 +1251,7 @@ function updateTipSection() {
     // Ensure the custom input reflects the current tip amount
     const input = document.getElementById('customTipInput');
     if (input && document.activeElement !== input) {
-      input.value = currentTipAmount ? currentTipAmount.toFixed(2) : '';
+      input.value = customTipCents ? (customTipCents / 100).toFixed(2) : '';
     }
   } else {
     customContainer.hidden = true;
@@ -1074,7 +1261,7 @@ function updateTipSection() {
   // Update the tip summary
   const tipAmountEl = document.getElementById('tipAmount');
   if (tipAmountEl) {
-    tipAmountEl.textContent = formatCurrency(currentTipAmount || 0);
+    tipAmountEl.textContent = formatCents(totals.tip);
   }
 }
 
@@ -1279,11 +1466,14 @@ function showMapAndDistance() {
   // Fit the map to show both the restaurant and customer and cap zoom so it
   // doesn’t zoom in too closely. The maxZoom prevents an overly zoomed map.
   map.fitBounds(polyline.getBounds(), { padding: [20, 20], maxZoom: 12 });
-  // Compute distance & fee
+  // Compute distance & fee (null beyond PRICING.delivery.maxMiles)
   const distance = computeDistanceMiles(restaurantCoords.lat, restaurantCoords.lon, userCoords.lat, userCoords.lon);
-  deliveryFee = computeDeliveryFee(distance);
+  deliveryMiles = distance;
+  deliveryFeeCents = computeDeliveryFee(distance);
   const etaMinutes = Math.round(distance * 2 + 10);
-  document.getElementById('distanceSummary').textContent = `Distance: ${distance.toFixed(2)} miles. Delivery fee: ${formatCurrency(deliveryFee)}. Estimated delivery time: ${etaMinutes}–${etaMinutes + 10} mins.`;
+  document.getElementById('distanceSummary').textContent = deliveryFeeCents == null
+    ? `Distance: ${distance.toFixed(2)} miles. ${getDeliveryProblem()}`
+    : `Distance: ${distance.toFixed(2)} miles. Delivery fee: ${formatCents(deliveryFeeCents)}. Estimated delivery time: ${etaMinutes}–${etaMinutes + 10} mins.`;
   // Save computed fee in totals
   updateCartTotals();
 }
@@ -1309,12 +1499,46 @@ function setInlinePreviewMode(enabled) {
 
   [checkoutBtn, placeOrderBtn, stripeCheckoutBtn].forEach((btn) => {
     if (!btn) return;
-    btn.disabled = enabled;
+    btn.disabled = enabled || orderingClosed || btn.classList.contains('delivery-unavailable-disabled');
     btn.classList.toggle('inline-preview-disabled', enabled);
   });
 }
 
 
+/**
+ * Why a delivery order can't be paid for yet, or '' if it can (or this isn't
+ * a delivery order). An address we haven't placed is not free delivery.
+ */
+function getDeliveryProblem() {
+  if (getCurrentOrderType() !== 'delivery' || deliveryFeeCents != null) return '';
+  if (deliveryMiles != null) {
+    return `Sorry, we only deliver within ${TOTALS_PRICING.delivery.maxMiles} miles of the kitchen. Please choose pickup instead.`;
+  }
+  if (deliveryLookupPending) return 'Looking up your address…';
+  const address = (document.getElementById('deliveryAddress')?.value || '').trim();
+  return address
+    ? "We couldn't find that address. Please check it, or choose pickup."
+    : 'Enter your delivery address so we can work out the delivery fee.';
+}
+
+/**
+ * Disable the pay buttons (and the wallet button) while delivery is
+ * unavailable. Checkout itself stays open, since the address is entered there.
+ */
+function setDeliveryUnavailable(unavailable) {
+  ['placeOrderButton', 'stripeCheckoutBtn'].forEach((id) => {
+    const btn = document.getElementById(id);
+    if (!btn) return;
+    btn.disabled = unavailable || orderingClosed || btn.classList.contains('inline-preview-disabled');
+    btn.classList.toggle('delivery-unavailable-disabled', unavailable);
+  });
+  const walletBtn = document.getElementById('payment-request-button');
+  if (walletBtn) {
+    walletBtn.classList.toggle('delivery-unavailable-disabled', unavailable);
+  }
+}
+
+
 /**
  * For in-line/in-store orders, require the customer to be within
  * ~0.2 miles of the restaurant. Returns a Promise<boolean>.
@@ -1382,11 +1606,11 @@ function updateOrderType() {
 
       if (addr) {
         // We already have an address (typed or loaded from storage) –
-        // geocode it and update distance + deliveryFee.
+        // geocode it and update distance + deliveryFeeCents.
         geocodeAddressAndUpdate(addr);
       } else {
         // No address yet – try to use geolocation which will call
-        // showMapAndDistance() and set deliveryFee.
+        // showMapAndDistance() and set deliveryFeeCents.
         getLocationAndPrefill();
       }
     }
@@ -1399,8 +1623,9 @@ function updateOrderType() {
     document.getElementById('mapContainer').hidden = true;
     document.getElementById('distanceSummary').textContent = '';
 
-    // ✅ IMPORTANT: zero out fee when not in delivery
-    deliveryFee = 0;
+    // ✅ IMPORTANT: forget the fee when not in delivery
+    deliveryMiles = null;
+    deliveryFeeCents = null;
     updateCartTotals();
   }
 
@@ -1459,6 +1684,13 @@ async function geocodeAddressAndUpdate(addressString) {
     query += ', USA';
   }
 
+  // Nothing can be paid for until the new address is placed
+  deliveryLookupPending = true;
+  deliveryMiles = null;
+  deliveryFeeCents = null;
+  updateCartTotals();
+
+  let coords = null;
   try {
     const resp = await fetch(
       `https://nominatim.openstreetmap.org/search?format=jsonv2&q=${encodeURIComponent(query)}`
@@ -1471,8 +1703,7 @@ async function geocodeAddressAndUpdate(addressString) {
       const lon = parseFloat(first.lon);
 
       if (Number.isFinite(lat) && Number.isFinite(lon)) {
-        userCoords = { lat, lon };
-        showMapAndDistance(); // this will update the map + delivery fee
+        coords = { lat, lon };
       } else {
         console.warn('Geocode result missing lat/lon', first);
       }
@@ -1482,6 +1713,17 @@ async function geocodeAddressAndUpdate(addressString) {
   } catch (err) {
     console.error('Forward geocoding failed', err);
   }
+  deliveryLookupPending = false;
+
+  if (coords) {
+    userCoords = coords;
+    showMapAndDistance(); // this will update the map + delivery fee
+    return;
+  }
+  // Don't fall back to the last address we found
+  userCoords = null;
+  document.getElementById('mapContainer').hidden = true;
+  updateCartTotals();
 }
 
 /**
@@ -1540,7 +1782,11 @@ async function initStripe() {
     try {
       // Ensure we have a PaymentIntent on the backend
       const clientSecret = await createPaymentIntent();
-      if (!clientSecret) throw new Error('Could not create PaymentIntent');
+      // createPaymentIntent() has already told the customer why
+      if (!clientSecret) {
+        ev.complete('fail');
+        return;
+      }
 
       // Use your requested snippet here:
       const result = await stripe.confirmCardPayment(
@@ -1640,25 +1886,26 @@ async function submitInlineOrder() {
   const nearbyOk = await requireInlineProximity();
   if (!nearbyOk) return false;
 
-  const totals = computeTotals();
+  const totals = getCartTotals();
 
   const payload = {
     name,
     phone,
     notes,
     fulfilment: 'inline',
+    menuVersion,
     items: cart.map((i) => ({
       id: i.id,
       name: i.name,
       quantity: i.quantity,
-      unitPrice: Math.round(i.price * 100),
+      unitPrice: toCents(i.price),
       sauce: i.sauce || null,
       freeSide: i.freeSide || null,
     })),
-    subtotal: Math.round(totals.subtotal * 100),
+    subtotal: totals.subtotal,
     deliveryFee: 0,
-    fees: Math.round((totals.fees || 0) * 100),
-    total: Math.round(totals.grand * 100),
+    fees: totals.fees,
+    total: totals.total,
   };
 
   try {
@@ -1677,7 +1924,7 @@ async function submitInlineOrder() {
     alert(`Thank you, ${name}! Your order has been sent to the kitchen.\nPlease pay at the cashier when your name is called.`);
 
     // Reset cart + UI
-    cart = [];
+    cart.length = 0;
     saveCart();
     renderCart();
     updateCartButton();
@@ -1707,13 +1954,22 @@ async function createPaymentIntent() {
   const phone = (document.getElementById('customerPhone')?.value || '').trim();
   const line1 = (document.getElementById('deliveryAddress')?.value || '').trim();
 
+  const deliveryProblem = getDeliveryProblem();
+  if (deliveryProblem) {
+    displayPaymentMessage(deliveryProblem);
+    return null;
+  }
+
   // Build totals once (grand must be >= $0.50 => 50 cents)
-  const totals = computeTotals();
+  const totals = getCartTotals();
 
-  // Flatten cart for metadata (prices in cents)
+  // Flatten cart for metadata (prices in cents). The backend re-prices each
+  // line from its id and portion, so the unit prices are only a cross-check.
   const simplifiedCartArray = cart.map(i => ({
+    id: i.id,
+    portion: i.plateOptionKey || null,
     name: i.name,
-    unitPrice: Math.round(i.price * 100),
+    unitPrice: toCents(i.price),
     quantity: i.quantity,
     // keep these if present so you see them in Telegram/metadata
     sauce: i.sauce || null,
@@ -1722,8 +1978,8 @@ async function createPaymentIntent() {
 
   // Payload that matches your /kg/create-payment-intent route
   const payload = {
-    amount: Math.round(totals.grand * 100),          // cents
-    tip: Math.round((totals.tip || 0) * 100),        // cents
+    amount: totals.total,                             // cents
+    tip: totals.tip,                                  // cents
     fulfilment,                                       // "pickup" | "delivery"
     name,
     phone,
@@ -1732,7 +1988,10 @@ async function createPaymentIntent() {
       city: '',                                      // left blank (no fields on the page)
       postal_code: ''                                // left blank (no fields on the page)
     },
-    cart: simplifiedCartArray
+    cart: simplifiedCartArray,
+    menuVersion,
+    // The backend works the delivery fee out from here
+    deliveryLocation: fulfilment === 'delivery' ? userCoords : null,
   };
 
   try {
@@ -1743,7 +2002,8 @@ async function createPaymentIntent() {
     });
     if (!resp.ok) {
       const err = await resp.json().catch(() => ({}));
-      throw new Error(err.error || err.message || 'Failed to create payment intent');
+      showOrderRejection(err, 'Failed to create payment intent');
+      return null;
     }
     const data = await resp.json();
     currentClientSecret = data.clientSecret;
@@ -1763,6 +2023,24 @@ function displayPaymentMessage(msg) {
   el.hidden = false;
 }
 
+/**
+ * Tell the customer why the backend turned a payment down. When it re-priced
+ * the cart and got different numbers ({ code, error, mismatches } with cents),
+ * list what changed and pull in the current prices so trying again works.
+ */
+function showOrderRejection(data, fallback) {
+  let message = data.error || data.message || fallback;
+  const changed = (data.mismatches || []).filter(m => m.id !== 'total' && m.expected != null);
+  if (changed.length) {
+    message += ` Now: ${changed.map(m => `${m.name} ${formatCents(m.expected)}`).join(', ')}.`;
+  }
+  displayPaymentMessage(message);
+
+  if (['price_mismatch', 'unknown_item'].includes(data.code)) {
+    syncPriceOverrides().then(refreshMenuPrices);
+  }
+}
+
 /**
  * Hide the payment message.
  */
@@ -1781,14 +2059,13 @@ async function handleOrderSuccess(paymentIntentId) {
   const phone = (document.getElementById('customerPhone')?.value || '').trim();
   const line1 = (document.getElementById('deliveryAddress')?.value || '').trim();
 
-  const totals = computeTotals();
-  // totals: { subtotal, fees, deliveryFee, tip, grand }
+  const totals = getCartTotals();
 
   // Build Telegram-friendly order (all money in cents)
   const telegramOrder = {
     event: 'paid',
     // original "amount" field (total in cents)
-    amount: Math.round(totals.grand * 100),
+    amount: totals.total,
 
     name,
     phone,
@@ -1799,25 +2076,25 @@ async function handleOrderSuccess(paymentIntentId) {
     },
 
     // Detailed breakdown (all cents)
-    subtotal: Math.round(totals.subtotal * 100),
-    deliveryFee: Math.round((totals.deliveryFee || 0) * 100),
-    fees: Math.round((totals.fees || 0) * 100),
-    tip: Math.round((totals.tip || 0) * 100),
-    total: Math.round(totals.grand * 100),
+    subtotal: totals.subtotal,
+    deliveryFee: totals.deliveryFee,
+    fees: totals.fees,
+    tip: totals.tip,
+    total: totals.total,
 
     // Prefer `items` on backend, but keep `cart` for backward compatibility
     items: cart.map(i => ({
       id: i.id,
       name: i.name,
       quantity: i.quantity,
-      unitPrice: Math.round(i.price * 100), // cents
+      unitPrice: toCents(i.price), // cents
       sauce: i.sauce || null,
       freeSide: i.freeSide || null
     })),
     cart: cart.map(i => ({
       name: i.name,
       quantity: i.quantity,
-      unitPrice: Math.round(i.price * 100),
+      unitPrice: toCents(i.price),
       sauce: i.sauce || null,
       freeSide: i.freeSide || null
     })),
@@ -1840,6 +2117,7 @@ async function handleOrderSuccess(paymentIntentId) {
 
   // Reset client state/UI
   cart.length = 0;
+  saveCart();
   renderCart();
   updateCartButton();
   closeCart();
@@ -1913,45 +2191,46 @@ async function startStripeCheckout() {
     return;
   }
 
-  // Use your existing totals helper so we stay in sync with the UI:
-  // subtotal, fees (service+tax), deliveryFee, tip, grand
-  const totals = computeTotals();
-  const fees = totals.fees || 0;                 // service & tax in dollars
-  const delivery = totals.deliveryFee || 0;      // delivery fee in dollars
-  const tip = totals.tip || 0;                   // tip in dollars
+  const deliveryProblem = getDeliveryProblem();
+  if (deliveryProblem) {
+    alert(deliveryProblem);
+    return;
+  }
+
+  // Use the same totals helper so we stay in sync with the UI (all cents)
+  const totals = getCartTotals();
 
 
     // Base cart: actual menu items (prices in cents)
     const simplifiedCart = cart.map(i => ({
       id: i.id,
+      portion: i.plateOptionKey || null,
       name: i.name,
-      unitPrice: Math.round(i.price * 100), // cents
+      unitPrice: toCents(i.price), // cents
       quantity: i.quantity,
       sauce: i.sauce || null,
       freeSide: i.freeSide || null,
     }));
 
     // Add Delivery fee as its own line item (if any)
-    const deliveryCents = Math.round(delivery * 100);
-    if (deliveryCents > 0) {
+    if (totals.deliveryFee > 0) {
       simplifiedCart.push({
         id: 'delivery_fee',
         name: 'Delivery fee',
-        unitPrice: deliveryCents,
+        unitPrice: totals.deliveryFee,
         quantity: 1,
       });
     }
 
-    // Add Service & tax as its own line item (if any)
-    const feesCents = Math.round(fees * 100);
-    if (feesCents > 0) {
+    // Add the service fee and sales tax as line items of their own (if any)
+    feeLines(totals).forEach((fee) => {
       simplifiedCart.push({
-        id: 'service_tax',
-        name: 'Service & tax',
-        unitPrice: feesCents,
+        id: fee.id,
+        name: fee.label,
+        unitPrice: fee.cents,
         quantity: 1,
       });
-    }
+    });
 
 const payload = {
   fulfilment,
@@ -1963,9 +2242,12 @@ const payload = {
     postal_code: ''
   },
   // Tip still goes as a separate field so the backend can create a "Driver tip" line
-  tipCents: Math.round(tip * 100),
+  tipCents: totals.tip,
   cart: simplifiedCart,
-  successUrl: window.location.origin + '/thank-you.html',
+  menuVersion,
+  deliveryLocation: fulfilment === 'delivery' ? userCoords : null,
+  // Stripe fills in the session id so thank-you.html can look the order up
+  successUrl: window.location.origin + '/thank-you.html?session_id={CHECKOUT_SESSION_ID}',
   cancelUrl: window.location.href,
 };
 
@@ -1979,14 +2261,15 @@ const payload = {
 
       const data = await resp.json();
       if (!resp.ok || !data.url) {
-        throw new Error(data.error || 'Failed to start checkout');
+        showOrderRejection(data, 'Failed to start checkout');
+        return;
       }
 
       // Redirect to Stripe Checkout (this page has Apple Pay button)
       window.location.href = data.url;
     } catch (err) {
       console.error(err);
-      alert(err.message || 'Unable to start express checkout.');
+      displayPaymentMessage(err.message || 'Unable to start express checkout.');
     }
   }
 
@@ -2104,13 +2387,7 @@ document.getElementById('checkoutButton').addEventListener('click', () => {
 
   // Notify backend via Telegram when user initiates checkout
   try {
-    const subtotalPreview = cart.reduce((sum, it) => sum + it.price * it.quantity, 0);
-    const feesPreview = subtotalPreview * 0.1;
-    const totalPreview =
-      subtotalPreview +
-      (deliveryFee || 0) +
-      feesPreview +
-      (currentTipAmount || 0);
+    const totalsPreview = getCartTotals();
 
     const name = (document.getElementById('customerName')?.value || '').trim();
     const phone = (document.getElementById('customerPhone')?.value || '').trim();
@@ -2118,7 +2395,7 @@ document.getElementById('checkoutButton').addEventListener('click', () => {
 
     const previewOrder = {
       event: 'checkout_initiated',
-      amount: Math.round(totalPreview * 100), // cents
+      amount: totalsPreview.total, // cents
       name,
       phone,
       address: {
@@ -2129,7 +2406,7 @@ document.getElementById('checkoutButton').addEventListener('click', () => {
       cart: cart.map(item => ({
         name: item.name,
         quantity: item.quantity,
-        unitPrice: Math.round(item.price * 100),
+        unitPrice: toCents(item.price),
         sauce: item.sauce || null,
         freeSide: item.freeSide || null,
       })),
@@ -2212,24 +2489,20 @@ document.getElementById('checkoutButton').addEventListener('click', () => {
       // Mark this button as selected
       btn.classList.add('selected');
       const pctAttr = btn.getAttribute('data-tip-percent');
-      // Calculate base for percentage tips
-      const subtotal = cart.reduce((sum, item) => sum + item.price * item.quantity, 0);
-      const fees = subtotal * 0.1;
-      const base = subtotal + fees + (deliveryFee || 0);
       if (pctAttr === 'custom') {
         currentTipPercent = 'custom';
         // Show custom input container
         const customContainer = document.getElementById('customTipContainer');
         if (customContainer) customContainer.hidden = false;
-        // Reset custom tip value to currentTipAmount or 0
+        // Reset custom tip value to customTipCents or 0
         const input = document.getElementById('customTipInput');
         if (input && document.activeElement !== input) {
-          input.value = currentTipAmount ? currentTipAmount.toFixed(2) : '';
+          input.value = customTipCents ? (customTipCents / 100).toFixed(2) : '';
         }
       } else {
         const pct = parseFloat(pctAttr);
+        // getCartTotals() works out the amount from the current tip base
         currentTipPercent = pct;
-        currentTipAmount = base * pct;
         // Hide custom input container
         const customContainer = document.getElementById('customTipContainer');
         if (customContainer) customContainer.hidden = true;
@@ -2243,7 +2516,7 @@ document.getElementById('checkoutButton').addEventListener('click', () => {
     customInput.addEventListener('input', e => {
       currentTipPercent = 'custom';
       const val = parseFloat(e.target.value);
-      currentTipAmount = Number.isFinite(val) && val > 0 ? val : 0;
+      customTipCents = Number.isFinite(val) && val > 0 ? toCents(val) : 0;
       updateCartTotals();
     });
   }
@@ -2497,20 +2770,23 @@ document.addEventListener('DOMContentLoaded', async () => {
   }, 2000);
 
   // Normal app init
-    syncOrderingStatusFromStorage();
+  // Applies the last known status now, then follows the line board's changes
+  watchOrderingStatus(api('/ordering-status'), applyOrderingStatus);
+  startHoursWatch();
   window.addEventListener('storage', (event) => {
-    if (event.key === ORDERING_STATUS_STORAGE_KEY) {
-      syncOrderingStatusFromStorage();
-          } else if (event.key === PRICE_OVERRIDE_STORAGE_KEY) {
-      priceOverrides = loadPriceOverrides ? loadPriceOverrides() : priceOverrides;
-      applyPricingForOrderType();
-      renderMenu();
-      updateCartTotals();
-      updateCartButton();
+    if (event.key === PRICE_OVERRIDE_STORAGE_KEY) {
+      refreshMenuPrices();
     }
   });
 
-  renderMenu();
+  if (await loadMenuData()) {
+    // Show the kitchen's current prices rather than this phone's last copy
+    if (await syncPriceOverrides()) priceOverrides = loadPriceOverrides();
+    renderMenu();
+    startPriceOverridePolling();
+    // Back from a reload or a cancelled Stripe Checkout
+    restoreCart();
+  }
   syncOrderingStatusFromStorage();
   ensureGamificationUI();   // 🎮 create Grill Points badge, upsell area, toast
   syncOrderingStatusFromStorage();
@@ -0,0 +1,89 @@
+// Run with `node --test` from the repo root
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  cartLineKey,
+  findCartLine,
+  mergeCartLines,
+  addCartLine,
+  setLineOption,
+  changeLineQuantity,
+} = require('../cart-lines.js');
+
+function ribs(plateOptionKey, price, extra = {}) {
+  return {
+    id: 'beef_ribs',
+    plateOptionKey,
+    name: `Beef Ribs – ${plateOptionKey}`,
+    quantity: 1,
+    price,
+    sauce: 'none',
+    freeSide: 'jollof_rice',
+    ...extra,
+  };
+}
+
+// A cart with one rib and two ribs of the same item
+function ribsCart() {
+  return [ribs('1_rib', 16), ribs('2_ribs', 21)];
+}
+
+test('portions of the same item have different keys', () => {
+  const [one, two] = ribsCart();
+  assert.equal(cartLineKey(one), 'beef_ribs|1_rib|none|jollof_rice');
+  assert.notEqual(cartLineKey(one), cartLineKey(two));
+  assert.equal(cartLineKey({ id: 'jollof_rice' }), 'jollof_rice|||');
+});
+
+test('adding another portion makes its own line', () => {
+  const cart = [ribs('1_rib', 16)];
+  addCartLine(cart, ribs('2_ribs', 21));
+  assert.deepEqual(cart.map(line => [line.plateOptionKey, line.quantity]), [['1_rib', 1], ['2_ribs', 1]]);
+});
+
+test('adding the same line again raises its quantity and takes the new price', () => {
+  const cart = ribsCart();
+  addCartLine(cart, ribs('2_ribs', 20, { baseOnlinePrice: 21, baseInlinePrice: 20 }));
+  assert.deepEqual(cart.map(line => [line.plateOptionKey, line.quantity, line.price]), [['1_rib', 1, 16], ['2_ribs', 2, 20]]);
+});
+
+test('changing the quantity of "2 ribs" leaves "1 rib" alone', () => {
+  const cart = ribsCart();
+  const twoRibs = cartLineKey(cart[1]);
+  assert.equal(changeLineQuantity(cart, twoRibs, 2), true);
+  assert.deepEqual(cart.map(line => [line.plateOptionKey, line.quantity]), [['1_rib', 1], ['2_ribs', 3]]);
+
+  assert.equal(changeLineQuantity(cart, twoRibs, -3), true);
+  assert.deepEqual(cart.map(line => line.plateOptionKey), ['1_rib']);
+});
+
+test('changing the sauce of "2 ribs" leaves "1 rib" alone', () => {
+  const cart = ribsCart();
+  assert.equal(setLineOption(cart, cartLineKey(cart[1]), 'sauce', 'hot'), true);
+  assert.deepEqual(cart.map(line => [line.plateOptionKey, line.sauce]), [['1_rib', 'none'], ['2_ribs', 'hot']]);
+  assert.ok(findCartLine(cart, 'beef_ribs|2_ribs|hot|jollof_rice'));
+});
+
+test('a line whose options now match another is merged into it', () => {
+  const cart = [ribs('2_ribs', 21, { sauce: 'hot' }), ribs('1_rib', 16), ribs('2_ribs', 21, { quantity: 2 })];
+  setLineOption(cart, cartLineKey(cart[2]), 'sauce', 'hot');
+  assert.deepEqual(cart.map(line => [line.plateOptionKey, line.sauce, line.quantity]), [
+    ['2_ribs', 'hot', 3],
+    ['1_rib', 'none', 1],
+  ]);
+});
+
+test('different free sides stay separate lines', () => {
+  const cart = [ribs('2_ribs', 21), ribs('2_ribs', 21, { freeSide: 'mac_cheese' })];
+  assert.equal(mergeCartLines(cart).length, 2);
+  setLineOption(cart, cartLineKey(cart[1]), 'freeSide', 'jollof_rice');
+  assert.deepEqual(cart.map(line => [line.freeSide, line.quantity]), [['jollof_rice', 2]]);
+});
+
+test('unknown keys change nothing', () => {
+  const cart = ribsCart();
+  assert.equal(changeLineQuantity(cart, 'beef_ribs|3_ribs|none|jollof_rice', 1), false);
+  assert.equal(setLineOption(cart, 'beef_ribs', 'sauce', 'hot'), false);
+  assert.deepEqual(cart, ribsCart());
+});
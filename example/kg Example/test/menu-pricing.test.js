@@ -0,0 +1,29 @@
+// Run with `node --test` from the repo root
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const catalog = require('../menu-catalog.json');
+const { buildBaselinePricing, getEffectivePrices } = require('../menu-pricing.js');
+
+const baseline = buildBaselinePricing(catalog);
+
+test('an override sets the in-line price and keeps the online markup', () => {
+  const overrides = { portions: { beef_ribs: { '3_ribs': 24 } } };
+  assert.deepEqual(getEffectivePrices(baseline, 'beef_ribs', '3_ribs', overrides), { inline: 24, online: 25, markup: 1 });
+});
+
+test('overrides that are not prices fall back to the catalog', () => {
+  for (const bad of [-25, '-1', 'abc', null, Infinity]) {
+    const overrides = { portions: { beef_ribs: { '3_ribs': bad } } };
+    assert.deepEqual(getEffectivePrices(baseline, 'beef_ribs', '3_ribs', overrides), { inline: 25, online: 26, markup: 1 }, String(bad));
+  }
+});
+
+test('a free item (0) is a valid override', () => {
+  assert.equal(getEffectivePrices(baseline, 'jollof_rice', null, { items: { jollof_rice: 0 } }).inline, 0);
+});
+
+test('items and portions missing from the catalog have no price', () => {
+  assert.equal(getEffectivePrices(baseline, 'ghost'), null);
+  assert.equal(getEffectivePrices(baseline, 'beef_ribs', '9_ribs'), null);
+});
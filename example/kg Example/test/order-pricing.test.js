@@ -0,0 +1,51 @@
+// Run with `node --test` from the repo root
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const catalog = require('../menu-catalog.json');
+const { buildBaselinePricing } = require('../menu-pricing.js');
+const { priceOrder } = require('../tools/order-pricing.js');
+
+const menu = { catalog, baseline: buildBaselinePricing(catalog), overrides: {} };
+const threeRibs = { id: 'beef_ribs', portion: '3_ribs', name: 'Beef Ribs', unitPrice: 2600, quantity: 1 };
+
+test('prices a pickup order from the catalog', () => {
+  const priced = priceOrder({ fulfilment: 'pickup', cart: [threeRibs], amount: 2600 }, menu);
+  assert.equal(priced.ok, true);
+  assert.deepEqual(priced.totals, {
+    subtotal: 2600, serviceFee: 0, tax: 0, fees: 0, deliveryFee: 0, tipBase: 2600, tip: 0, total: 2600,
+  });
+});
+
+test('refuses in-line orders on the payment endpoints', () => {
+  const inlineRibs = { ...threeRibs, unitPrice: 2500 };
+  const priced = priceOrder({ fulfilment: 'inline', cart: [inlineRibs], amount: 2500 }, menu);
+  assert.equal(priced.ok, false);
+  assert.equal(priced.status, 400);
+  assert.equal(priced.body.code, 'invalid_order');
+});
+
+test('reports a line sent below its price', () => {
+  const priced = priceOrder({ fulfilment: 'pickup', cart: [{ ...threeRibs, unitPrice: 2500 }], amount: 2500 }, menu);
+  assert.equal(priced.body.code, 'price_mismatch');
+  assert.deepEqual(priced.body.mismatches.map(m => [m.id, m.expected, m.received]), [
+    ['beef_ribs', 2600, 2500],
+    ['total', 2600, 2500],
+  ]);
+});
+
+test('needs a delivery location within range', () => {
+  const order = { fulfilment: 'delivery', cart: [threeRibs] };
+  assert.equal(priceOrder(order, menu).body.code, 'delivery_location_required');
+  // Pittsburgh is well past the delivery limit
+  const far = priceOrder({ ...order, deliveryLocation: { lat: 40.4406, lon: -79.9959 } }, menu);
+  assert.equal(far.status, 400);
+  assert.equal(far.body.code, 'delivery_out_of_range');
+});
+
+test('charges the delivery fee for the distance', () => {
+  const order = { fulfilment: 'delivery', cart: [threeRibs], deliveryLocation: { lat: 39.9448, lon: -75.2390 } };
+  const priced = priceOrder({ ...order, amount: 2900 }, menu);
+  assert.equal(priced.ok, true);
+  assert.equal(priced.totals.deliveryFee, 300);
+});
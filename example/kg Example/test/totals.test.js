@@ -0,0 +1,154 @@
+// Run with `node --test` from the repo root
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  PRICING,
+  toCents,
+  distanceMiles,
+  computeDeliveryFee,
+  computeTip,
+  computeTotals,
+  feeLines,
+} = require('../totals.js');
+
+// Example rates for checking the fee arithmetic. They are not the live rates:
+// PRICING charges no service fee or tax until the owner confirms them.
+const WITH_FEES = { ...PRICING, serviceFeeRate: 0.02, taxRate: 0.08 };
+
+// [name, order, the parts of the breakdown it must produce, pricing]
+const TOTALS_CASES = [
+  [
+    'pickup is charged the food and nothing else',
+    { lines: [{ unitPrice: 1300, quantity: 2 }], fulfilment: 'pickup' },
+    { subtotal: 2600, serviceFee: 0, tax: 0, fees: 0, deliveryFee: 0, tipBase: 2600, tip: 0, total: 2600 },
+  ],
+  [
+    'delivery is charged the food, delivery fee and tip',
+    { lines: [{ unitPrice: 1999, quantity: 1 }], fulfilment: 'delivery', deliveryFee: 450, tip: { percent: 0.15 } },
+    { fees: 0, deliveryFee: 450, tipBase: 2449, tip: 367, total: 2816 },
+  ],
+  [
+    'with rates set, pickup pays the service fee and tax',
+    { lines: [{ unitPrice: 1050, quantity: 2 }], fulfilment: 'pickup' },
+    { subtotal: 2100, serviceFee: 42, tax: 168, fees: 210, deliveryFee: 0, tipBase: 2310, tip: 0, total: 2310 },
+    WITH_FEES,
+  ],
+  [
+    'fulfilment defaults to pickup',
+    { lines: [{ unitPrice: 1000, quantity: 1 }] },
+    { serviceFee: 20, tax: 80, total: 1100 },
+    WITH_FEES,
+  ],
+  [
+    'in-line orders pay no fees, delivery fee or tip',
+    { lines: [{ unitPrice: 1000, quantity: 1 }], fulfilment: 'inline', deliveryFee: 500, tip: { percent: 0.15 } },
+    { subtotal: 1000, fees: 0, deliveryFee: 0, tip: 0, total: 1000 },
+    WITH_FEES,
+  ],
+  [
+    'pickup ignores a delivery fee and tip',
+    { lines: [{ unitPrice: 1000, quantity: 1 }], fulfilment: 'pickup', deliveryFee: 500, tip: { cents: 200 } },
+    { deliveryFee: 0, tip: 0, total: 1000 },
+  ],
+  [
+    'a percentage tip is taken on subtotal, fees and delivery fee',
+    { lines: [{ unitPrice: 1999, quantity: 1 }], fulfilment: 'delivery', deliveryFee: 450, tip: { percent: 0.15 } },
+    { serviceFee: 40, tax: 160, deliveryFee: 450, tipBase: 2649, tip: 397, total: 3046 },
+    WITH_FEES,
+  ],
+  [
+    'a set tip is taken as given',
+    { lines: [{ unitPrice: 1000, quantity: 1 }], fulfilment: 'delivery', deliveryFee: 300, tip: { cents: 250 } },
+    { tip: 250, total: 1550 },
+  ],
+  [
+    'no tip on an empty cart',
+    { lines: [], fulfilment: 'delivery', deliveryFee: 300, tip: { cents: 250 } },
+    { subtotal: 0, tip: 0, total: 300 },
+  ],
+  [
+    'negative tips and delivery fees count as 0',
+    { lines: [{ unitPrice: 1000, quantity: 1 }], fulfilment: 'delivery', deliveryFee: -300, tip: { cents: -50 } },
+    { deliveryFee: 0, tip: 0, total: 1000 },
+  ],
+  [
+    'bad prices and quantities add nothing; fractional quantities round down',
+    { lines: [{ unitPrice: 'x', quantity: 2 }, { unitPrice: 500, quantity: -1 }, { unitPrice: 500, quantity: 1.7 }] },
+    { subtotal: 500 },
+  ],
+  [
+    'the fee and tax are rounded to the cent separately',
+    { lines: [{ unitPrice: 1006, quantity: 1 }] },
+    { serviceFee: 20, tax: 80, total: 1106 },
+    WITH_FEES,
+  ],
+  [
+    'half a cent rounds up',
+    { lines: [{ unitPrice: 1025, quantity: 1 }] },
+    { serviceFee: 21, tax: 82, total: 1128 },
+    WITH_FEES,
+  ],
+];
+
+for (const [name, order, expected, pricing = PRICING] of TOTALS_CASES) {
+  test(`computeTotals: ${name}`, () => {
+    const totals = computeTotals(order, pricing);
+    for (const [key, value] of Object.entries(expected)) {
+      assert.equal(totals[key], value, key);
+    }
+    assert.equal(totals.total, totals.subtotal + totals.fees + totals.deliveryFee + totals.tip);
+  });
+}
+
+test('no service fee or tax is charged until the rates are confirmed', () => {
+  assert.equal(PRICING.serviceFeeRate, 0);
+  assert.equal(PRICING.taxRate, 0);
+  assert.deepEqual(feeLines(computeTotals({ lines: [{ unitPrice: 2600, quantity: 1 }] })), []);
+});
+
+test('feeLines labels each fee with its rate', () => {
+  const totals = computeTotals({ lines: [{ unitPrice: 2600, quantity: 1 }] }, WITH_FEES);
+  assert.deepEqual(feeLines(totals, WITH_FEES), [
+    { id: 'service_fee', label: 'Service fee (2%)', cents: 52 },
+    { id: 'sales_tax', label: 'Sales tax (8%)', cents: 208 },
+  ]);
+  const taxOnly = { ...PRICING, taxRate: 0.0625 };
+  assert.deepEqual(feeLines(computeTotals({ lines: [{ unitPrice: 1000, quantity: 1 }] }, taxOnly), taxOnly), [
+    { id: 'sales_tax', label: 'Sales tax (6.25%)', cents: 63 },
+  ]);
+});
+
+test('toCents', () => {
+  for (const [dollars, cents] of [[19.99, 1999], [1.005, 101], [10.075, 1008], ['12.5', 1250], ['x', 0], [null, 0], [Infinity, 0]]) {
+    assert.equal(toCents(dollars), cents, String(dollars));
+  }
+});
+
+test('computeDeliveryFee', () => {
+  for (const [miles, cents] of [[0, 300], [1.5, 450], [2.344, 534], [10, 1300]]) {
+    assert.equal(computeDeliveryFee(miles), cents, String(miles));
+  }
+});
+
+test('computeDeliveryFee: no fee past the limit or for an unknown distance', () => {
+  assert.equal(PRICING.delivery.maxMiles, 10);
+  for (const miles of [10.01, 25, null, undefined, -1, NaN, Infinity, '2']) {
+    assert.equal(computeDeliveryFee(miles), null, String(miles));
+  }
+  assert.equal(computeDeliveryFee(4, { ...PRICING.delivery, maxMiles: 3 }), null);
+});
+
+test('computeTip', () => {
+  for (const [base, percent, cents] of [[2649, 0.15, 397], [1000, 0.2, 200], [1000, -0.1, 0], [1000, 'x', 0]]) {
+    assert.equal(computeTip(base, percent), cents, `${base} × ${percent}`);
+  }
+});
+
+test('distanceMiles', () => {
+  const { origin } = PRICING.delivery;
+  assert.equal(distanceMiles(origin, origin), 0);
+  // One degree of latitude is about 69 miles
+  const north = { lat: origin.lat + 1, lon: origin.lon };
+  assert.ok(Math.abs(distanceMiles(origin, north) - 69.1) < 0.1);
+});
@@ -0,0 +1,174 @@
+/*
+ * KG Grill Kitchen – server-side order pricing
+ *
+ * The page sends its own prices and totals with every payment, and a browser
+ * can send anything. priceOrder() works the order out again from what the
+ * server trusts – the menu catalog, the in-line override table, the portion
+ * keys and the fulfilment type – using the same rules as the page
+ * (menu-pricing.js and totals.js), and says exactly where the two disagree.
+ *
+ * A rejection looks like
+ *
+ *   { ok: false, status: 409, body: { ok: false, code, error, mismatches } }
+ *
+ * where `code` is one of invalid_order, delivery_location_required,
+ * delivery_out_of_range, menu_changed, unknown_item or price_mismatch,
+ * `error` is a sentence for the
+ * customer, and `mismatches` lists { id, portion, name, expected, received }
+ * in cents (id is "delivery_fee", "service_fee", "sales_tax" or "total" for
+ * those lines).
+ *
+ * Only pickup and delivery are paid online. In-line orders pay at the counter
+ * at in-line prices with no service fee or tax, so a payment that claims to
+ * be one is refused rather than priced.
+ *
+ * The delivery fee comes from the location the page sends, which the server
+ * can't check against the address without a geocoder. It is bounded instead:
+ * anything beyond PRICING.delivery.maxMiles is refused.
+ */
+const { getEffectivePrices } = require('../menu-pricing.js');
+const {
+  PRICING,
+  toCents,
+  distanceMiles,
+  computeDeliveryFee,
+  computeTotals,
+} = require('../totals.js');
+
+// Checkout Session carts carry these alongside the food
+const FEE_LINE_IDS = ['delivery_fee', 'service_fee', 'sales_tax'];
+// In-line orders go to /line-order and are paid at the counter
+const PAID_FULFILMENTS = ['pickup', 'delivery'];
+const MAX_QUANTITY = 99;
+
+function reject(status, code, error, mismatches = []) {
+  return { ok: false, status, body: { ok: false, code, error, mismatches } };
+}
+
+function isLocation(value) {
+  return value && Number.isFinite(value.lat) && Number.isFinite(value.lon);
+}
+
+/**
+ * Look up a catalog item and (if it has portions) the chosen portion.
+ * Returns { item, portion } or null if either isn't on the menu.
+ */
+function findMenuItem(catalog, id, portionKey) {
+  const item = catalog.mains.concat(catalog.sides).find(i => i.id === id);
+  if (!item) return null;
+  const portions = catalog.portionOptions[id];
+  if (!portions) return portionKey ? null : { item, portion: null };
+  const portion = portions.find(p => p.key === portionKey);
+  return portion ? { item, portion } : null;
+}
+
+/**
+ * Re-price `order` (the body of /create-payment-intent or
+ * /create-checkout-session) against `menu`: { catalog, baseline, overrides }.
+ *
+ * Resolves the order's lines and totals in cents:
+ *   { ok: true, lines: [{ id, portion, name, unitPrice, quantity, sauce, freeSide }], totals }
+ * or a rejection (see above). The tip is the customer's to choose, so it is
+ * taken as sent; everything else must match to the cent.
+ */
+function priceOrder(order, menu) {
+  const { catalog, baseline, overrides } = menu;
+  if (!order || typeof order !== 'object') {
+    return reject(400, 'invalid_order', 'Order must be a JSON object.');
+  }
+
+  const fulfilment = order.fulfilment || 'pickup';
+  if (!PAID_FULFILMENTS.includes(fulfilment)) {
+    return reject(400, 'invalid_order', 'Online payment is for pickup or delivery. In-line orders are paid at the counter.');
+  }
+
+  const sent = Array.isArray(order.cart) ? order.cart : [];
+  const itemLines = sent.filter(line => !FEE_LINE_IDS.includes(line?.id));
+  if (!itemLines.length) {
+    return reject(400, 'invalid_order', 'Your cart is empty. Please add items.');
+  }
+
+  if (order.menuVersion && order.menuVersion !== catalog.version) {
+    return reject(409, 'menu_changed', 'Our menu was just updated. Please refresh the page and check your cart.');
+  }
+
+  const lines = [];
+  const mismatches = [];
+  for (const line of itemLines) {
+    const quantity = Number(line.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_QUANTITY) {
+      return reject(400, 'invalid_order', `Invalid quantity for ${line.name || line.id}.`);
+    }
+
+    const portionKey = line.portion || null;
+    const found = findMenuItem(catalog, line.id, portionKey);
+    if (!found) {
+      return reject(409, 'unknown_item', `${line.name || line.id} is no longer on the menu. Please remove it and try again.`, [
+        { id: line.id, portion: portionKey, name: line.name || line.id, expected: null, received: line.unitPrice },
+      ]);
+    }
+
+    const prices = getEffectivePrices(baseline, line.id, portionKey, overrides);
+    const unitPrice = toCents(prices.online);
+    const name = found.portion ? `${found.item.name} – ${found.portion.label}` : found.item.name;
+    if (Number(line.unitPrice) !== unitPrice) {
+      mismatches.push({ id: line.id, portion: portionKey, name, expected: unitPrice, received: line.unitPrice });
+    }
+    lines.push({
+      id: line.id,
+      portion: portionKey,
+      name,
+      unitPrice,
+      quantity,
+      sauce: line.sauce || null,
+      freeSide: line.freeSide || null,
+    });
+  }
+
+  let deliveryFee = 0;
+  if (fulfilment === 'delivery') {
+    if (!isLocation(order.deliveryLocation)) {
+      return reject(400, 'delivery_location_required', 'We need your delivery location to work out the delivery fee.');
+    }
+    deliveryFee = computeDeliveryFee(distanceMiles(PRICING.delivery.origin, order.deliveryLocation));
+    if (deliveryFee == null) {
+      return reject(400, 'delivery_out_of_range', `Sorry, we only deliver within ${PRICING.delivery.maxMiles} miles of the kitchen.`);
+    }
+  }
+
+  const tipCents = Number(order.tipCents ?? order.tip) || 0;
+  const totals = computeTotals({
+    lines,
+    fulfilment,
+    deliveryFee,
+    tip: { cents: Math.max(0, Math.round(tipCents)) },
+  });
+
+  // Fee lines (Checkout Session) and the amount (PaymentIntent), when sent
+  const feeLine = id => sent.find(line => line?.id === id);
+  [
+    ['delivery_fee', 'Delivery fee', totals.deliveryFee],
+    ['service_fee', 'Service fee', totals.serviceFee],
+    ['sales_tax', 'Sales tax', totals.tax],
+  ]
+    .forEach(([id, name, expected]) => {
+      const line = feeLine(id);
+      if (line ? Number(line.unitPrice) !== expected : expected > 0 && order.amount == null) {
+        mismatches.push({ id, portion: null, name, expected, received: line ? line.unitPrice : 0 });
+      }
+    });
+  if (order.amount != null && Number(order.amount) !== totals.total) {
+    mismatches.push({ id: 'total', portion: null, name: 'Total', expected: totals.total, received: order.amount });
+  }
+
+  if (mismatches.length) {
+    return reject(409, 'price_mismatch', 'Some prices have changed since you added them to your cart.', mismatches);
+  }
+  return { ok: true, lines, totals };
+}
+
+module.exports = {
+  FEE_LINE_IDS,
+  findMenuItem,
+  priceOrder,
+};
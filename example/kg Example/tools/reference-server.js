@@ -0,0 +1,477 @@
+/*
+ * KG Grill Kitchen – reference backend
+ *
+ * Serves the KG pages together with the /kg API they talk to, and re-prices
+ * every payment on the server (tools/order-pricing.js) before Stripe sees an
+ * amount:
+ *
+ *   GET  /kg/config                   → { publishableKey }
+ *   GET  /kg/price-overrides          → the override table (404 until the first save)
+ *   PUT  /kg/price-overrides          → saved table, 400 { ok, error, problems }
+ *                                       or 409 { error, current } (kitchen)
+ *   GET  /kg/ordering-status          → { closed, message, redirect, reopenAt, updatedAt }
+ *   PUT  /kg/ordering-status          → the saved status, or 400 if reopenAt isn't an ISO time (kitchen)
+ *   POST /kg/create-payment-intent    → { clientSecret, amount } or 4xx { ok, code, error, mismatches }
+ *   POST /kg/create-checkout-session  → { url } or 4xx { ok, code, error, mismatches }
+ *   GET  /kg/order?session_id=…       → the order behind a Checkout Session (thank-you.html)
+ *   POST /kg/line-order               → { ok }
+ *   POST /kg/telegram-notify          → { ok } (logged here instead of sent)
+ *
+ * Without STRIPE_SECRET_KEY, payments go to a mock that accepts everything:
+ * PaymentIntents get a fake client secret and Checkout Sessions "complete"
+ * straight to their success URL. With it, the real Stripe API is used
+ * (`npm install --no-save stripe` first). Overrides, ordering status and
+ * orders are kept in memory and forgotten when the server stops.
+ *
+ * Request bodies are JSON objects of up to 100 KB: anything else gets a 400,
+ * or a 413 when it is too large.
+ *
+ * Routes marked (kitchen) need `Authorization: Bearer <kitchen key>`, which
+ * line.html asks for once per tablet. The key is KG_KITCHEN_KEY, or a random
+ * one printed at startup when that isn't set.
+ *
+ * The KG pages are served with kg-api-base set to /kg so they use this
+ * server instead of the live backend, along with the repo root's hours.js,
+ * which they share with the Holy Hands site. Checkout Sessions only return to pages
+ * on KG_SITE_ORIGIN (http://localhost:PORT unless set), so open the site
+ * there.
+ *
+ * Usage (from example/kg Example):
+ *   node tools/reference-server.js
+ *   PORT=9000 KG_SITE_ORIGIN=https://kg.example KG_KITCHEN_KEY=… STRIPE_SECRET_KEY=sk_test_… STRIPE_PUBLISHABLE_KEY=pk_test_… node tools/reference-server.js
+ */
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const crypto = require('crypto');
+
+const { validateCatalog, buildBaselinePricing } = require('../menu-pricing.js');
+const { priceOrder } = require('./order-pricing.js');
+const { feeLines } = require('../totals.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const PORT = Number(process.env.PORT) || 8080;
+const API_PREFIX = '/kg';
+// Where Stripe may send customers back to after Checkout
+const SITE_ORIGIN = new URL(process.env.KG_SITE_ORIGIN || `http://localhost:${PORT}`).origin;
+const MAX_BODY_BYTES = 100 * 1024;
+const KITCHEN_KEY = process.env.KG_KITCHEN_KEY || crypto.randomBytes(9).toString('base64url');
+// Rough minutes from payment to the order being ready, shown on thank-you.html
+const READY_MINUTES = { pickup: 20, delivery: 45, inline: 15 };
+// Folders next to the pages that aren't part of the site
+const PRIVATE_DIRS = ['tools', 'test', 'node_modules'];
+// Scripts the pages share with the site at the repo root, served where their
+// relative links (../../hours.js) land when the pages are at the top level
+const SHARED_FILES = {
+  '/hours.js': path.resolve(ROOT, '..', '..', 'hours.js'),
+};
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml',
+  '.mp3': 'audio/mpeg',
+};
+
+function loadCatalog() {
+  const read = file => JSON.parse(fs.readFileSync(path.join(ROOT, file), 'utf8'));
+  const catalog = read('menu-catalog.json');
+  const errors = validateCatalog(catalog, read('menu-catalog.schema.json'));
+  if (errors.length) {
+    throw new Error(`Menu catalog ${catalog.version} is invalid:\n- ${errors.join('\n- ')}`);
+  }
+  return catalog;
+}
+
+const catalog = loadCatalog();
+const baseline = buildBaselinePricing(catalog);
+let priceOverrides = null;
+let orderingStatus = { closed: false, message: '', redirect: false, reopenAt: null, updatedAt: null };
+// Checkout Session id → order, for GET /kg/order
+const orders = new Map();
+
+/**
+ * Stand-in for the parts of the Stripe client this server uses.
+ */
+function createStripeMock() {
+  const id = prefix => `${prefix}_mock_${crypto.randomBytes(8).toString('hex')}`;
+  return {
+    paymentIntents: {
+      async create(params) {
+        const intentId = id('pi');
+        return { id: intentId, client_secret: `${intentId}_secret_mock`, amount: params.amount, status: 'requires_payment_method' };
+      },
+    },
+    checkout: {
+      sessions: {
+        async create(params) {
+          const sessionId = id('cs');
+          return { id: sessionId, url: params.success_url.replace('{CHECKOUT_SESSION_ID}', sessionId) };
+        },
+        // Every mock session is paid by the time its success URL loads
+        async retrieve(sessionId) {
+          return { id: sessionId, payment_status: 'paid' };
+        },
+      },
+    },
+  };
+}
+
+const stripe = process.env.STRIPE_SECRET_KEY
+  ? require('stripe')(process.env.STRIPE_SECRET_KEY)
+  : createStripeMock();
+
+function sendJson(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Cache-Control': 'no-store',
+  });
+  res.end(JSON.stringify(body));
+}
+
+// An error that answers the request with `status` instead of a 500
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(httpError(413, 'Request body is too large'));
+        // Stop reading but keep the socket, so the 413 still reaches the client
+        req.removeAllListeners('data');
+        req.resume();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      let body;
+      try {
+        body = JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}');
+      } catch (err) {
+        reject(httpError(400, 'Request body is not valid JSON'));
+        return;
+      }
+      if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        reject(httpError(400, 'Request body must be a JSON object'));
+        return;
+      }
+      resolve(body);
+    });
+    req.on('error', reject);
+  });
+}
+
+// Re-price an order, answering the request ourselves if it doesn't check out
+function checkOrder(res, order) {
+  const priced = priceOrder(order, { catalog, baseline, overrides: priceOverrides || {} });
+  if (!priced.ok) {
+    console.log(`reference-server: rejected order (${priced.body.code})`, JSON.stringify(priced.body.mismatches));
+    sendJson(res, priced.status, priced.body);
+    return null;
+  }
+  return priced;
+}
+
+async function createPaymentIntent(order, res) {
+  const priced = checkOrder(res, order);
+  if (!priced) return;
+  const intent = await stripe.paymentIntents.create({
+    amount: priced.totals.total,
+    currency: 'usd',
+    automatic_payment_methods: { enabled: true },
+    metadata: {
+      name: String(order.name || ''),
+      phone: String(order.phone || ''),
+      fulfilment: order.fulfilment || 'pickup',
+      menuVersion: catalog.version,
+    },
+  });
+  console.log(`reference-server: PaymentIntent ${intent.id} for ${priced.totals.total} cents`);
+  sendJson(res, 200, { clientSecret: intent.client_secret, amount: priced.totals.total });
+}
+
+// `value` if it is a page on SITE_ORIGIN, otherwise null
+function sitePageUrl(value) {
+  try {
+    return new URL(value).origin === SITE_ORIGIN ? String(value) : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+async function createCheckoutSession(order, res) {
+  const successUrl = sitePageUrl(order.successUrl);
+  const cancelUrl = sitePageUrl(order.cancelUrl);
+  if (!successUrl || !cancelUrl) {
+    sendJson(res, 400, {
+      ok: false,
+      code: 'invalid_order',
+      error: `Checkout must return to a page on ${SITE_ORIGIN}.`,
+      mismatches: [],
+    });
+    return;
+  }
+
+  const priced = checkOrder(res, order);
+  if (!priced) return;
+  const { lines, totals } = priced;
+  const fulfilment = order.fulfilment || 'pickup';
+  const lineItem = (name, unitAmount, quantity = 1) => ({
+    price_data: { currency: 'usd', product_data: { name }, unit_amount: unitAmount },
+    quantity,
+  });
+  const lineItems = lines.map(line => lineItem(line.name, line.unitPrice, line.quantity));
+  if (totals.deliveryFee > 0) lineItems.push(lineItem('Delivery fee', totals.deliveryFee));
+  feeLines(totals).forEach(fee => lineItems.push(lineItem(fee.label, fee.cents)));
+  if (totals.tip > 0) lineItems.push(lineItem('Driver tip', totals.tip));
+
+  const session = await stripe.checkout.sessions.create({
+    mode: 'payment',
+    line_items: lineItems,
+    success_url: successUrl,
+    cancel_url: cancelUrl,
+    metadata: { fulfilment, menuVersion: catalog.version },
+  });
+  const createdAt = new Date();
+  orders.set(session.id, {
+    id: session.id,
+    name: String(order.name || ''),
+    fulfilment,
+    address: fulfilment === 'delivery' ? String(order.address?.line1 || '') : '',
+    items: lines,
+    totals: {
+      subtotal: totals.subtotal,
+      deliveryFee: totals.deliveryFee,
+      fees: feeLines(totals).map(({ label, cents }) => ({ label, cents })),
+      tip: totals.tip,
+      total: totals.total,
+    },
+    createdAt: createdAt.toISOString(),
+    readyAt: new Date(createdAt.getTime() + READY_MINUTES[fulfilment] * 60000).toISOString(),
+  });
+  console.log(`reference-server: Checkout Session ${session.id} for ${totals.total} cents`);
+  sendJson(res, 200, { url: session.url });
+}
+
+// The order behind a Checkout Session: { id, status, name, fulfilment,
+// address, items, totals, createdAt, readyAt } with money in cents. status is
+// "paid" once Stripe says so and "pending" until then.
+async function getOrder(sessionId, res) {
+  const order = orders.get(sessionId);
+  if (!order) {
+    sendJson(res, 404, { ok: false, error: 'We could not find that order.' });
+    return;
+  }
+  const session = await stripe.checkout.sessions.retrieve(sessionId);
+  sendJson(res, 200, { ...order, status: session.payment_status === 'paid' ? 'paid' : 'pending' });
+}
+
+function isPlainObject(value) {
+  return value != null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isPrice(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+/**
+ * Problems with a PUT /price-overrides body: items maps catalog item ids and
+ * portions maps item id → portion key → in-line price, in dollars, never
+ * below 0. priceOrder() trusts whatever is saved, so nothing else gets in.
+ */
+function validatePriceOverrides(body) {
+  const problems = [];
+  const items = body.items ?? {};
+  const portions = body.portions ?? {};
+  if (!isPlainObject(items)) problems.push('items must be an object');
+  if (!isPlainObject(portions)) problems.push('portions must be an object');
+  if (problems.length) return problems;
+
+  Object.entries(items).forEach(([itemId, price]) => {
+    if (!baseline.items[itemId]) problems.push(`items.${itemId}: not on the menu`);
+    else if (!isPrice(price)) problems.push(`items.${itemId}: must be a price of 0 or more`);
+  });
+  Object.entries(portions).forEach(([itemId, prices]) => {
+    if (!baseline.portions[itemId]) {
+      problems.push(`portions.${itemId}: not on the menu`);
+      return;
+    }
+    if (!isPlainObject(prices)) {
+      problems.push(`portions.${itemId} must be an object`);
+      return;
+    }
+    Object.entries(prices).forEach(([portionKey, price]) => {
+      if (!baseline.portions[itemId][portionKey]) problems.push(`portions.${itemId}.${portionKey}: not on the menu`);
+      else if (!isPrice(price)) problems.push(`portions.${itemId}.${portionKey}: must be a price of 0 or more`);
+    });
+  });
+  return problems;
+}
+
+function savePriceOverrides(body, res) {
+  const problems = validatePriceOverrides(body);
+  if (problems.length) {
+    sendJson(res, 400, { ok: false, error: 'Price overrides are invalid.', problems });
+    return;
+  }
+  const currentRevision = priceOverrides ? priceOverrides.revision : 0;
+  if (Number(body.baseRevision) !== currentRevision) {
+    // Nothing saved yet still has a revision (0) the client can build on
+    const current = priceOverrides
+      || { menuVersion: catalog.version, revision: 0, updatedAt: null, items: {}, portions: {} };
+    sendJson(res, 409, { error: 'Prices were changed on another device.', current });
+    return;
+  }
+  priceOverrides = {
+    menuVersion: catalog.version,
+    revision: currentRevision + 1,
+    updatedAt: new Date().toISOString(),
+    items: body.items || {},
+    portions: body.portions || {},
+  };
+  sendJson(res, 200, priceOverrides);
+}
+
+// A full ISO 8601 time with a zone, e.g. 2026-10-19T21:00:00.000Z
+const ISO_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/;
+
+// reopenAt as a UTC ISO string, null when it is left out, or undefined if
+// it isn't a time we can trust
+function parseReopenAt(value) {
+  if (value == null || value === '') return null;
+  if (typeof value !== 'string' || !ISO_TIME.test(value) || Number.isNaN(Date.parse(value))) return undefined;
+  return new Date(value).toISOString();
+}
+
+// Whether the request carries the kitchen key
+function isKitchen(req) {
+  const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+  const sent = Buffer.from(match ? match[1] : '');
+  const expected = Buffer.from(KITCHEN_KEY);
+  return sent.length === expected.length && crypto.timingSafeEqual(sent, expected);
+}
+
+// Wrap a route so it only runs for the kitchen
+function kitchenOnly(route) {
+  return (req, res) => (isKitchen(req)
+    ? route(req, res)
+    : sendJson(res, 401, { ok: false, error: 'The kitchen key was not accepted.' }));
+}
+
+// API routes, keyed by "METHOD /path" below API_PREFIX
+const ROUTES = {
+  'GET /config': (req, res) => sendJson(res, 200, { publishableKey: process.env.STRIPE_PUBLISHABLE_KEY || 'pk_test_mock' }),
+  'GET /price-overrides': (req, res) => (priceOverrides
+    ? sendJson(res, 200, priceOverrides)
+    : sendJson(res, 404, { error: 'No price overrides saved yet' })),
+  'PUT /price-overrides': kitchenOnly(async (req, res) => savePriceOverrides(await readJson(req), res)),
+  'GET /ordering-status': (req, res) => sendJson(res, 200, orderingStatus),
+  'PUT /ordering-status': kitchenOnly(async (req, res) => {
+    const body = await readJson(req);
+    const reopenAt = parseReopenAt(body.reopenAt);
+    if (reopenAt === undefined) {
+      sendJson(res, 400, { ok: false, error: 'reopenAt must be an ISO 8601 time such as 2026-10-19T21:00:00Z, or null.' });
+      return;
+    }
+    orderingStatus = {
+      closed: Boolean(body.closed),
+      message: String(body.message || ''),
+      redirect: Boolean(body.redirect),
+      reopenAt,
+      updatedAt: new Date().toISOString(),
+    };
+    sendJson(res, 200, orderingStatus);
+  }),
+  'POST /create-payment-intent': async (req, res) => createPaymentIntent(await readJson(req), res),
+  'POST /create-checkout-session': async (req, res) => createCheckoutSession(await readJson(req), res),
+  'GET /order': (req, res) => getOrder(new URL(req.url, 'http://localhost').searchParams.get('session_id') || '', res),
+  'POST /line-order': async (req, res) => {
+    const order = await readJson(req);
+    console.log(`reference-server: in-line order for ${order.name}, ${order.total} cents`);
+    sendJson(res, 200, { ok: true });
+  },
+  'POST /telegram-notify': async (req, res) => {
+    const message = await readJson(req);
+    console.log(`reference-server: notify ${message.event || 'order'}, ${message.amount} cents`);
+    sendJson(res, 200, { ok: true });
+  },
+};
+
+// Only the pages' own files: a type we serve, outside dot-folders and the
+// example's tooling
+function isSiteFile(file) {
+  const parts = path.relative(ROOT, file).split(path.sep);
+  return !parts.some(part => part.startsWith('.'))
+    && !PRIVATE_DIRS.includes(parts[0])
+    && Object.prototype.hasOwnProperty.call(CONTENT_TYPES, path.extname(file));
+}
+
+function serveStatic(req, res, pathname) {
+  const shared = Object.prototype.hasOwnProperty.call(SHARED_FILES, pathname) ? SHARED_FILES[pathname] : null;
+  const file = shared || path.join(ROOT, pathname === '/' ? 'index.html' : pathname);
+  if (!shared && !file.startsWith(`${ROOT}${path.sep}`)) {
+    sendJson(res, 403, { ok: false, error: 'Forbidden' });
+    return;
+  }
+  const notFound = () => {
+    res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end('Not found');
+  };
+  if (!shared && !isSiteFile(file)) {
+    notFound();
+    return;
+  }
+  fs.readFile(file, (err, body) => {
+    if (err) {
+      notFound();
+      return;
+    }
+    const output = path.extname(file) === '.html'
+      ? body.toString('utf8').replace(/(<meta name="kg-api-base" content=")[^"]*"/, `$1${API_PREFIX}"`)
+      : body;
+    res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream' });
+    res.end(req.method === 'HEAD' ? undefined : output);
+  });
+}
+
+const server = http.createServer((req, res) => {
+  let pathname;
+  try {
+    pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+  } catch (err) {
+    sendJson(res, 400, { ok: false, error: 'Bad request path' });
+    return;
+  }
+
+  if (pathname.startsWith(`${API_PREFIX}/`)) {
+    const route = ROUTES[`${req.method} ${pathname.slice(API_PREFIX.length)}`];
+    if (!route) {
+      sendJson(res, 404, { ok: false, error: 'Not found' });
+      return;
+    }
+    Promise.resolve(route(req, res)).catch((err) => sendJson(res, err.status || 500, { ok: false, error: err.message }));
+  } else if (req.method === 'GET' || req.method === 'HEAD') {
+    serveStatic(req, res, pathname);
+  } else {
+    sendJson(res, 405, { ok: false, error: 'Method not allowed' });
+  }
+});
+
+server.listen(PORT, () => {
+  const payments = process.env.STRIPE_SECRET_KEY ? 'Stripe' : 'Stripe mock';
+  console.log(`reference-server: http://localhost:${PORT} (menu ${catalog.version}, ${payments})`);
+  if (!process.env.KG_KITCHEN_KEY) console.log(`reference-server: kitchen key ${KITCHEN_KEY}`);
+});
@@ -0,0 +1,170 @@
+/*
+ * KG Grill Kitchen – order totals
+ *
+ * The one place that turns a cart into money. The cart footer, tip buttons,
+ * wallet sheet, PaymentIntent, Checkout Session, in-line order and Telegram
+ * notifications all read their numbers from computeTotals(), so what the
+ * customer sees is what they are charged and what the kitchen is told.
+ *
+ * All amounts are integer cents. The functions are pure (no DOM, no storage)
+ * and the file loads both as a browser script (window.KG_TOTALS) and as a
+ * CommonJS module, so a backend can re-check a cart with the same rules.
+ *
+ * Rounding: each line is unit cents × quantity; the service fee, the tax and a
+ * percentage tip are each rounded to the nearest cent on their own; the total
+ * is the exact sum of the rounded parts.
+ *
+ * The service fee and sales tax rates are 0: customers have never paid either,
+ * and no rate has been confirmed. Raising one is a price change for every
+ * pickup and delivery order, so it needs the owner's sign-off first. Once set,
+ * each shows up as its own line, with its rate, wherever totals are listed
+ * (see feeLines()).
+ */
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.KG_TOTALS = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  const PRICING = {
+    // ---- Needs owner sign-off before changing (see above) ----
+    // Charged on pickup and delivery orders; in-line orders pay at the counter
+    serviceFeeRate: 0,
+    // Sales tax on pickup and delivery orders
+    taxRate: 0,
+    // ----
+    delivery: {
+      // The kitchen, near 5750 Baltimore Ave; delivery distance is from here
+      origin: { lat: 39.9448, lon: -75.2390 },
+      baseCents: 300,
+      perMileCents: 100,
+      // Farthest we deliver; the page and the backend both refuse orders beyond it
+      maxMiles: 10,
+    },
+  };
+
+  const EARTH_RADIUS_MILES = 3958.8;
+
+  /**
+   * Dollars to whole cents, e.g. 10.075 → 1008. Anything that isn't a finite
+   * number counts as 0.
+   */
+  function toCents(dollars) {
+    const value = Number(dollars);
+    if (!Number.isFinite(value)) return 0;
+    // toFixed first so 1.005 * 100 (100.49999…) still rounds up
+    return Math.round(Number((value * 100).toFixed(6)));
+  }
+
+  /**
+   * Great-circle distance between two { lat, lon } points in miles.
+   */
+  function distanceMiles(from, to) {
+    const toRad = (deg) => (deg * Math.PI) / 180;
+    const dLat = toRad(to.lat - from.lat);
+    const dLon = toRad(to.lon - from.lon);
+    const a = Math.sin(dLat / 2) ** 2
+      + Math.cos(toRad(from.lat)) * Math.cos(toRad(to.lat)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_MILES * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  }
+
+  /**
+   * Delivery fee in cents for a distance in miles, or null if we can't deliver
+   * there: the distance is unknown or beyond `delivery.maxMiles`. An unknown
+   * distance is never free delivery.
+   * @param {number|null} miles
+   * @param {object} [delivery]
+   * @returns {number|null}
+   */
+  function computeDeliveryFee(miles, delivery = PRICING.delivery) {
+    if (typeof miles !== 'number' || !Number.isFinite(miles) || miles < 0) return null;
+    if (miles > delivery.maxMiles) return null;
+    return delivery.baseCents + Math.round(miles * delivery.perMileCents);
+  }
+
+  /**
+   * Tip in cents for a percentage of `tipBase` cents (0.15 for 15%).
+   */
+  function computeTip(tipBase, percent) {
+    const pct = Math.max(0, Number(percent) || 0);
+    return Math.round(tipBase * pct);
+  }
+
+  /**
+   * Compute the full breakdown for an order.
+   *
+   * Service fee and tax apply to pickup and delivery only. The delivery fee
+   * and the tip apply to delivery only. A percentage tip is taken on the tip
+   * base: subtotal + service fee + tax + delivery fee.
+   *
+   * @param {object} order
+   * @param {Array<{unitPrice: number, quantity: number}>} order.lines unit prices in cents
+   * @param {'pickup'|'delivery'|'inline'} [order.fulfilment]
+   * @param {number} [order.deliveryFee] cents, e.g. from computeDeliveryFee()
+   * @param {{percent?: number, cents?: number}} [order.tip] a percentage or a set amount
+   * @param {object} [pricing]
+   * @returns {{subtotal: number, serviceFee: number, tax: number, fees: number,
+   *   deliveryFee: number, tipBase: number, tip: number, total: number}}
+   */
+  function computeTotals(order, pricing = PRICING) {
+    const lines = Array.isArray(order.lines) ? order.lines : [];
+    const subtotal = lines.reduce((sum, line) => {
+      const unit = Math.max(0, Math.round(Number(line.unitPrice) || 0));
+      const qty = Math.max(0, Math.floor(Number(line.quantity) || 0));
+      return sum + unit * qty;
+    }, 0);
+
+    const fulfilment = order.fulfilment || 'pickup';
+    const isDelivery = fulfilment === 'delivery';
+    const paysFees = fulfilment !== 'inline';
+
+    const serviceFee = paysFees ? Math.round(subtotal * pricing.serviceFeeRate) : 0;
+    const tax = paysFees ? Math.round(subtotal * pricing.taxRate) : 0;
+    const fees = serviceFee + tax;
+    const deliveryFee = isDelivery ? Math.max(0, Math.round(Number(order.deliveryFee) || 0)) : 0;
+
+    const tipBase = subtotal + fees + deliveryFee;
+    let tip = 0;
+    if (isDelivery && subtotal > 0 && order.tip) {
+      tip = order.tip.cents != null
+        ? Math.max(0, Math.round(Number(order.tip.cents) || 0))
+        : computeTip(tipBase, order.tip.percent);
+    }
+
+    return {
+      subtotal,
+      serviceFee,
+      tax,
+      fees,
+      deliveryFee,
+      tipBase,
+      tip,
+      total: subtotal + fees + deliveryFee + tip,
+    };
+  }
+
+  /**
+   * The service fee and sales tax from a computeTotals() breakdown as the
+   * lines a customer sees, each labelled with its rate, e.g.
+   * { id: 'sales_tax', label: 'Sales tax (8%)', cents: 208 }. Lines that come
+   * to 0 are left out.
+   */
+  function feeLines(totals, pricing = PRICING) {
+    const percent = (rate) => `${Number((rate * 100).toFixed(3))}%`;
+    return [
+      { id: 'service_fee', label: `Service fee (${percent(pricing.serviceFeeRate)})`, cents: totals.serviceFee },
+      { id: 'sales_tax', label: `Sales tax (${percent(pricing.taxRate)})`, cents: totals.tax },
+    ].filter((line) => line.cents > 0);
+  }
+
+  return {
+    PRICING,
+    toCents,
+    distanceMiles,
+    computeDeliveryFee,
+    computeTip,
+    computeTotals,
+    feeLines,
+  };
+});
@@ -0,0 +1,197 @@
+/*
+ * Holy Hands Kitchen – business hours
+ *
+ * The weekly schedule and holiday exceptions that decide when the page takes
+ * orders. Times are wall-clock "HH:MM" in the kitchen's time zone, so the
+ * answer is the same wherever the customer's device happens to be. A day can
+ * have several periods (e.g. lunch and dinner); an empty list means closed.
+ *
+ * The KG example loads this file too, with its own schedule, rather than
+ * keeping a copy of the logic. A schedule may set `cutoffMinutes` to stop
+ * taking orders that long before each closing time.
+ */
+(function() {
+  const SCHEDULE = {
+    timeZone: 'America/New_York',
+    // 0 = Sunday … 6 = Saturday
+    weekly: {
+      0: [{ open: '12:00', close: '18:00' }],
+      1: [],
+      2: [{ open: '11:00', close: '20:00' }],
+      3: [{ open: '11:00', close: '20:00' }],
+      4: [{ open: '11:00', close: '20:00' }],
+      5: [{ open: '11:00', close: '21:00' }],
+      6: [{ open: '11:00', close: '21:00' }],
+    },
+    // Dates (YYYY-MM-DD, kitchen time) that replace the weekly hours
+    holidays: {
+      '2026-11-26': [],
+      '2026-12-24': [{ open: '11:00', close: '15:00' }],
+      '2026-12-25': [],
+      '2027-01-01': [],
+    },
+    // Let customers order ahead for the next opening while we're closed
+    allowScheduling: true,
+  };
+
+  // How far ahead to look for the next opening before giving up
+  const LOOKAHEAD_DAYS = 14;
+  const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+  const MOMENT_PHRASES = {
+    today: 'today at {time}',
+    tomorrow: 'tomorrow at {time}',
+    other: '{day} at {time}',
+  };
+
+  function toMinutes(time) {
+    const [hours, minutes] = String(time).split(':').map(Number);
+    return hours * 60 + minutes;
+  }
+
+  function toTime(minutes) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+  }
+
+  /**
+   * The wall-clock date, weekday and minute of `date` in `timeZone`.
+   */
+  function zonedParts(date, timeZone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+    }).formatToParts(date).forEach(({ type, value }) => {
+      parts[type] = value;
+    });
+    return {
+      date: `${parts.year}-${parts.month}-${parts.day}`,
+      weekday: WEEKDAYS.indexOf(parts.weekday),
+      minutes: (Number(parts.hour) % 24) * 60 + Number(parts.minute),
+    };
+  }
+
+  /**
+   * The instant at which the clock in `timeZone` reads `date` `time`. Found
+   * by measuring the zone's offset around that moment, which also copes with
+   * days where daylight saving time starts or ends.
+   */
+  function zonedTimeToDate(date, time, timeZone) {
+    const [year, month, day] = date.split('-').map(Number);
+    const wallClock = Date.UTC(year, month - 1, day) + toMinutes(time) * 60000;
+    let guess = wallClock;
+    for (let i = 0; i < 2; i += 1) {
+      const parts = zonedParts(new Date(guess), timeZone);
+      const [y, m, d] = parts.date.split('-').map(Number);
+      const seen = Date.UTC(y, m - 1, d) + parts.minutes * 60000;
+      guess += wallClock - seen;
+    }
+    return new Date(guess);
+  }
+
+  function addDays(date, days) {
+    const [year, month, day] = date.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+  }
+
+  // Ordering periods for a date: opening time to closing time less any cutoff
+  function periodsFor(date, weekday, schedule) {
+    const periods = Object.prototype.hasOwnProperty.call(schedule.holidays || {}, date)
+      ? schedule.holidays[date]
+      : schedule.weekly[weekday];
+    const cutoff = schedule.cutoffMinutes || 0;
+    return (periods || [])
+      .map((p) => ({ from: toMinutes(p.open), to: toMinutes(p.close) - cutoff }))
+      .filter((p) => p.to > p.from)
+      .map((p) => ({ ...p, open: toTime(p.from), close: toTime(p.to) }))
+      .sort((a, b) => a.from - b.from);
+  }
+
+  /**
+   * Whether the kitchen is open at `now`.
+   *
+   * Returns { open: true, closesAt } while open, otherwise { open: false,
+   * opensAt } where opensAt is null if nothing opens within two weeks. Both
+   * are { date, time, at, daysAhead }: the kitchen-time date and "HH:MM", the
+   * matching Date, and how many calendar days from today it falls. With a
+   * cutoff, closesAt is the last order time rather than the closing time.
+   *
+   * @param {Date} [now]
+   * @param {object} [schedule]
+   */
+  function getOpenState(now = new Date(), schedule = SCHEDULE) {
+    const { timeZone } = schedule;
+    const today = zonedParts(now, timeZone);
+    const moment = (date, time, daysAhead) => ({
+      date,
+      time,
+      at: zonedTimeToDate(date, time, timeZone),
+      daysAhead,
+    });
+
+    const current = periodsFor(today.date, today.weekday, schedule)
+      .find((p) => p.from <= today.minutes && today.minutes < p.to);
+    if (current) {
+      return { open: true, closesAt: moment(today.date, current.close, 0) };
+    }
+
+    for (let offset = 0; offset <= LOOKAHEAD_DAYS; offset += 1) {
+      const date = addDays(today.date, offset);
+      const weekday = (today.weekday + offset) % 7;
+      const next = periodsFor(date, weekday, schedule)
+        .find((p) => offset > 0 || p.from > today.minutes);
+      if (next) {
+        return { open: false, opensAt: moment(date, next.open, offset) };
+      }
+    }
+    return { open: false, opensAt: null };
+  }
+
+  /**
+   * A moment like getOpenState's for any instant (an order's ready time, say),
+   * counted in calendar days from `now` in the kitchen's time zone.
+   */
+  function momentAt(at, now = new Date(), schedule = SCHEDULE) {
+    const target = zonedParts(at, schedule.timeZone);
+    const today = zonedParts(now, schedule.timeZone);
+    return {
+      date: target.date,
+      time: toTime(target.minutes),
+      at,
+      daysAhead: Math.round((Date.parse(target.date) - Date.parse(today.date)) / 86400000),
+    };
+  }
+
+  /**
+   * "11:00 AM", "today at 11:00 AM", "tomorrow at 11:00 AM" or "Tue at 11:00 AM"
+   * for a closesAt/opensAt moment, in the kitchen's time zone. Pass `locale`
+   * and matching `phrases` ({time} and {day} placeholders) for other languages.
+   */
+  function formatMoment(moment, schedule = SCHEDULE, { withDay = true, locale = 'en-US', phrases = MOMENT_PHRASES } = {}) {
+    const time = new Intl.DateTimeFormat(locale, {
+      timeZone: schedule.timeZone,
+      hour: 'numeric',
+      minute: '2-digit',
+    }).format(moment.at);
+    if (!withDay) return time;
+    let phrase = phrases.other;
+    if (moment.daysAhead === 0) phrase = phrases.today;
+    if (moment.daysAhead === 1) phrase = phrases.tomorrow;
+    const day = new Intl.DateTimeFormat(locale, { timeZone: schedule.timeZone, weekday: 'short' })
+      .format(moment.at);
+    return phrase.replace('{time}', time).replace('{day}', day);
+  }
+
+  window.HH_HOURS = {
+    SCHEDULE,
+    getOpenState,
+    momentAt,
+    formatMoment,
+  };
+})();
@@ -0,0 +1,454 @@
+/*
+ * Holy Hands Kitchen – translations
+ *
+ * Message catalogs for the page's own text, the current language, and
+ * locale-aware number and money formatting. Menu text (dish names,
+ * descriptions, categories, tags, modifier choices, promo descriptions) lives
+ * in menu.json instead: any of those entries can carry an `i18n` object with
+ * translated fields, read through `localize()`:
+ *
+ *   { "id": "plantain-side", "name": "Side of Plantain",
+ *     "i18n": { "fr": { "name": "Accompagnement de plantain" } } }
+ *
+ * English is the source language, so a message or field that hasn't been
+ * translated yet shows in English. Static markup opts in with
+ * data-i18n="key" (text), data-i18n-placeholder and data-i18n-aria-label.
+ */
+(function() {
+  const LANGUAGES = {
+    en: { name: 'English', locale: 'en-US' },
+    fr: { name: 'Français', locale: 'fr-FR' },
+  };
+  const DEFAULT_LANGUAGE = 'en';
+  const STORAGE_KEY = 'hhLanguage';
+  // Prices are always US dollars; only how they're written changes
+  const CURRENCY = 'USD';
+
+  const MESSAGES = {
+    en: {
+      'page.title': 'Holy Hands Kitchen | West African Comfort Food',
+      'splash.text': 'Cooking up joy…',
+      'header.eyebrow': 'West African Comfort Delivered',
+      'nav.menu': 'Menu',
+      'nav.mostOrdered': 'Most Ordered',
+      'nav.cart': 'Cart',
+      'nav.language': 'Language',
+      'offline.banner': "You're offline. You can still browse the menu, and orders will be sent when you reconnect.",
+
+      'hero.badge': 'Handmade • Daily',
+      'hero.title': 'Bold spices, soulful plates, and a checkout that routes securely through delcotechdivision.com.',
+      'hero.text': 'Pickup or delivery—your favorites from Holy Hands Kitchen are just a few taps away.',
+      'hero.browse': 'Browse the menu',
+      'hero.mostOrdered': 'Most ordered',
+      'hero.trustTitle': 'Powered by Delco Tech Division',
+      'hero.trustText': 'Stripe-backed payments, secure routing, zero hassle.',
+      'hero.chefsPick': "Chef's pick",
+
+      'mostOrdered.title': 'Most Ordered',
+      'mostOrdered.text': 'The dishes our community keeps coming back for.',
+
+      'menu.title': 'Menu',
+      'menu.text': 'Add plates, sides, and extra Jollof to your cart.',
+      'menu.savedNotice': 'Showing our saved menu while we reconnect. Prices are confirmed at checkout.',
+      'menu.categories': 'Menu categories',
+      'menu.searchPlaceholder': 'Search dishes',
+      'menu.searchLabel': 'Search the menu',
+      'menu.tagFilters': 'Filter by tag',
+      'menu.loading': 'Loading menu…',
+      'menu.loadError': "We couldn't load the menu right now.",
+      'menu.retry': 'Try again',
+      'menu.noMatches': 'No dishes match your filters.',
+      'menu.clearFilters': 'Clear filters',
+      'menu.add': 'Add',
+      'menu.addItem': 'Add {name}',
+      'menu.soldOut': 'Sold out',
+
+      'dialog.close': 'Close',
+      'dialog.required': 'Required',
+      'dialog.chooseOne': 'Choose at least one',
+      'dialog.optional': 'Optional',
+      'dialog.notes': 'Notes for the kitchen',
+      'dialog.notesPlaceholder': 'e.g. sauce on the side',
+      'dialog.addToOrder': 'Add to order · ',
+      'dialog.missingChoice': 'Please choose an option for "{group}".',
+
+      'hours.openUntil': 'Open now · taking orders until {time}',
+      'hours.closedUntil': "We're closed right now. Opens {when}.",
+      'hours.closed': "We're closed right now. Please check back soon.",
+      'hours.orderAhead': 'Order ahead for {when}',
+      'hours.orderingAhead': 'Ordering ahead for {when} · Cancel',
+      'time.today': 'today at {time}',
+      'time.tomorrow': 'tomorrow at {time}',
+      'time.other': '{day} at {time}',
+
+      'cart.yourOrder': 'Your order',
+      'cart.close': 'Close cart',
+      'cart.fulfilment': 'Pickup or delivery',
+      'cart.pickup': 'Pickup',
+      'cart.delivery': 'Delivery',
+      'cart.deliveryAddress': 'Delivery address',
+      'cart.tip': 'Tip',
+      'cart.noTip': 'None',
+      'cart.promoCode': 'Promo code',
+      'cart.subtotal': 'Subtotal',
+      'cart.discount': 'Discount',
+      'cart.discountWithCode': 'Discount ({code})',
+      'cart.deliveryFee': 'Delivery fee',
+      'cart.tax': 'Tax',
+      'cart.total': 'Total',
+      'cart.secureCheckout': 'Secure checkout',
+      'cart.checkout': 'Checkout',
+      'cart.paymentNote': 'Stripe-powered payments route through our backend at delcotechdivision.com.',
+      'cart.removeOne': 'Remove one',
+      'cart.addOne': 'Add one',
+      'cart.lineDiscount': '{amount} off with {code}',
+      'cart.added': 'Added {name}.',
+      'cart.quantity': '{name}, quantity {quantity}.',
+      'cart.removed': 'Removed {name}.',
+      'cart.subtotalIs': 'Subtotal {amount}.',
+      'cart.empty': 'Your cart is empty.',
+
+      'promo.apply': 'Apply',
+      'promo.remove': 'Remove',
+      'promo.applied': '{code} applied',
+      'promo.empty': 'Enter a promo code first.',
+      'promo.unknown': 'We don\'t recognize the code "{code}".',
+      'promo.expired': 'That code expired on {date}.',
+      'promo.notStarted': 'That code can be used from {date}.',
+      'promo.minSubtotal': 'Add {shortBy} more to use this code ({minimum} minimum).',
+      'promo.needsItem': 'Add {quantity} × {name} to use this code.',
+      'promo.thisDish': 'this dish',
+      'promo.needsPlate': 'Add one of our {category} to get a free side.',
+      'promo.needsSide': "Add one of our {category} and it's on us.",
+      'promo.unavailable': "That code can't be used right now.",
+
+      'delivery.unavailable': 'Delivery pricing is unavailable right now. Please choose pickup.',
+      'delivery.checking': 'Checking your address…',
+      'delivery.notFound': "We couldn't find that address. Try adding the town and ZIP code.",
+      'delivery.outOfRange': "That's {miles} mi away, outside our {maxMiles} mi delivery area.",
+      'delivery.distance': '{miles} mi from our kitchen.',
+      'delivery.lookupFailed': "We couldn't check that address right now. Please try again.",
+      'delivery.missingAddress': 'Please enter a delivery address.',
+      'delivery.addressNote': 'We send your address to our ordering service to work out the distance and delivery fee.',
+
+      'checkout.name': 'Name',
+      'checkout.phone': 'Phone number',
+      'checkout.placeOrder': 'Place order',
+      'checkout.placing': 'Placing order…',
+      'checkout.backToCart': 'Back to cart',
+      'checkout.deliveryTo': 'Delivery to {address}',
+      'checkout.pickupFrom': 'Pickup from Holy Hands Kitchen',
+      'checkout.scheduledFor': '{fulfilment} · scheduled for {when}',
+      'checkout.missingName': 'Please enter your name.',
+      'checkout.missingPhone': 'Please enter a phone number we can reach you on.',
+      'checkout.justClosed': "Sorry, we've just closed. You can order ahead for when we reopen.",
+      'checkout.unreachable': 'We could not reach our ordering service. Check your connection and try again.',
+      'checkout.failed': 'We could not place your order. Please try again.',
+
+      'confirm.received': 'Order received',
+      'confirm.order': 'Order',
+      'confirm.receipt': 'Receipt',
+      'confirm.status': 'Order status',
+      'confirm.done': 'Done',
+      'confirm.thanks': 'Thank you, {name}!',
+      'confirm.numberPending': 'received',
+      'confirm.scheduledDelivery': "We'll start cooking when we open {when} and deliver to {address}.",
+      'confirm.scheduledPickup': "We'll start cooking when we open {when} and text you when it's ready for pickup.",
+      'confirm.delivery': "We're cooking your order and will deliver it to {address}.",
+      'confirm.pickup': "We're cooking your order. We'll text you when it's ready for pickup.",
+      'confirm.arriving': 'Arriving around {time}',
+      'confirm.readyAround': 'Ready around {time}',
+      'order.number': 'Order #{number}',
+      'order.yours': 'Your order',
+      'order.statusUpdate': '{order}: {status}.',
+      'status.received': 'Order received',
+      'status.preparing': 'Preparing',
+      'status.readyPickup': 'Ready for pickup',
+      'status.readyDelivery': 'Out for delivery',
+      'status.completedPickup': 'Picked up',
+      'status.completedDelivery': 'Delivered',
+
+      'offline.title': "You're offline",
+      'offline.saved': "We've saved your order and will send it as soon as you're back online. Keep this page open.",
+      'offline.waiting': 'waiting to send',
+      'offline.announce': 'You are offline. Your order will be sent when you reconnect.',
+      'offline.sent': 'Your saved order was sent.',
+      'offline.failedTitle': "We couldn't place your saved order",
+      'offline.failed': '{error} Your dishes are back in the cart.',
+      'offline.notSent': 'not sent',
+
+      'ordering.offNote': "Online ordering isn't switched on yet. Your order will be saved on this device and sent to the kitchen once it is.",
+      'ordering.offTitle': 'Order saved, not sent',
+      'ordering.offSaved': "Online ordering isn't switched on yet, so your order hasn't gone to the kitchen. We've saved it on this device and will send it once ordering opens.",
+    },
+
+    fr: {
+      'page.title': "Holy Hands Kitchen | Cuisine réconfortante d'Afrique de l'Ouest",
+      'splash.text': 'On vous prépare de la joie…',
+      'header.eyebrow': "Le réconfort ouest-africain, livré chez vous",
+      'nav.menu': 'Menu',
+      'nav.mostOrdered': 'Les plus commandés',
+      'nav.cart': 'Panier',
+      'nav.language': 'Langue',
+      'offline.banner': 'Vous êtes hors ligne. Vous pouvez toujours consulter le menu, et vos commandes seront envoyées dès votre reconnexion.',
+
+      'hero.badge': 'Fait maison • Chaque jour',
+      'hero.title': "Des épices audacieuses, des plats pleins d'âme et un paiement sécurisé via delcotechdivision.com.",
+      'hero.text': 'À emporter ou en livraison : vos plats préférés de Holy Hands Kitchen sont à quelques clics.',
+      'hero.browse': 'Voir le menu',
+      'hero.mostOrdered': 'Les plus commandés',
+      'hero.trustTitle': 'Propulsé par Delco Tech Division',
+      'hero.trustText': 'Paiements via Stripe, connexion sécurisée, zéro tracas.',
+      'hero.chefsPick': 'Le choix du chef',
+
+      'mostOrdered.title': 'Les plus commandés',
+      'mostOrdered.text': 'Les plats que notre communauté redemande.',
+
+      'menu.title': 'Menu',
+      'menu.text': 'Ajoutez plats, accompagnements et jollof en extra à votre panier.',
+      'menu.savedNotice': 'Nous affichons le menu enregistré en attendant la reconnexion. Les prix sont confirmés au paiement.',
+      'menu.categories': 'Catégories du menu',
+      'menu.searchPlaceholder': 'Rechercher un plat',
+      'menu.searchLabel': 'Rechercher dans le menu',
+      'menu.tagFilters': 'Filtrer par étiquette',
+      'menu.loading': 'Chargement du menu…',
+      'menu.loadError': "Nous n'avons pas pu charger le menu pour le moment.",
+      'menu.retry': 'Réessayer',
+      'menu.noMatches': 'Aucun plat ne correspond à vos filtres.',
+      'menu.clearFilters': 'Effacer les filtres',
+      'menu.add': 'Ajouter',
+      'menu.addItem': 'Ajouter {name}',
+      'menu.soldOut': 'Épuisé',
+
+      'dialog.close': 'Fermer',
+      'dialog.required': 'Obligatoire',
+      'dialog.chooseOne': 'Choisissez-en au moins un',
+      'dialog.optional': 'Facultatif',
+      'dialog.notes': 'Notes pour la cuisine',
+      'dialog.notesPlaceholder': 'ex. sauce à part',
+      'dialog.addToOrder': 'Ajouter à la commande · ',
+      'dialog.missingChoice': 'Veuillez choisir une option pour « {group} ».',
+
+      'hours.openUntil': "Ouvert · commandes jusqu'à {time}",
+      'hours.closedUntil': 'Nous sommes fermés pour le moment. Réouverture {when}.',
+      'hours.closed': 'Nous sommes fermés pour le moment. Revenez bientôt.',
+      'hours.orderAhead': 'Commander pour {when}',
+      'hours.orderingAhead': 'Commande prévue {when} · Annuler',
+      'time.today': "aujourd'hui à {time}",
+      'time.tomorrow': 'demain à {time}',
+      'time.other': '{day} à {time}',
+
+      'cart.yourOrder': 'Votre commande',
+      'cart.close': 'Fermer le panier',
+      'cart.fulfilment': 'À emporter ou en livraison',
+      'cart.pickup': 'À emporter',
+      'cart.delivery': 'Livraison',
+      'cart.deliveryAddress': 'Adresse de livraison',
+      'cart.tip': 'Pourboire',
+      'cart.noTip': 'Aucun',
+      'cart.promoCode': 'Code promo',
+      'cart.subtotal': 'Sous-total',
+      'cart.discount': 'Remise',
+      'cart.discountWithCode': 'Remise ({code})',
+      'cart.deliveryFee': 'Frais de livraison',
+      'cart.tax': 'Taxes',
+      'cart.total': 'Total',
+      'cart.secureCheckout': 'Paiement sécurisé',
+      'cart.checkout': 'Valider le panier',
+      'cart.paymentNote': 'Les paiements Stripe passent par notre serveur sur delcotechdivision.com.',
+      'cart.removeOne': 'En retirer un',
+      'cart.addOne': 'En ajouter un',
+      'cart.lineDiscount': '{amount} de remise avec {code}',
+      'cart.added': 'Ajouté : {name}.',
+      'cart.quantity': '{name}, quantité {quantity}.',
+      'cart.removed': 'Retiré : {name}.',
+      'cart.subtotalIs': 'Sous-total {amount}.',
+      'cart.empty': 'Votre panier est vide.',
+
+      'promo.apply': 'Appliquer',
+      'promo.remove': 'Retirer',
+      'promo.applied': '{code} appliqué',
+      'promo.empty': "Saisissez d'abord un code promo.",
+      'promo.unknown': 'Nous ne reconnaissons pas le code « {code} ».',
+      'promo.expired': 'Ce code a expiré le {date}.',
+      'promo.notStarted': 'Ce code est valable à partir du {date}.',
+      'promo.minSubtotal': 'Ajoutez encore {shortBy} pour utiliser ce code ({minimum} minimum).',
+      'promo.needsItem': 'Ajoutez {quantity} × {name} pour utiliser ce code.',
+      'promo.thisDish': 'ce plat',
+      'promo.needsPlate': 'Ajoutez un de nos {category} pour recevoir un accompagnement offert.',
+      'promo.needsSide': "Ajoutez un de nos {category}, c'est offert.",
+      'promo.unavailable': 'Ce code ne peut pas être utilisé pour le moment.',
+
+      'delivery.unavailable': "La livraison n'est pas disponible pour le moment. Veuillez choisir « À emporter ».",
+      'delivery.checking': 'Vérification de votre adresse…',
+      'delivery.notFound': "Adresse introuvable. Essayez d'ajouter la ville et le code postal.",
+      'delivery.outOfRange': 'Vous êtes à {miles} mi, en dehors de notre zone de livraison de {maxMiles} mi.',
+      'delivery.distance': 'À {miles} mi de notre cuisine.',
+      'delivery.lookupFailed': 'Impossible de vérifier cette adresse pour le moment. Veuillez réessayer.',
+      'delivery.missingAddress': 'Veuillez saisir une adresse de livraison.',
+      'delivery.addressNote': 'Nous transmettons votre adresse à notre service de commande pour calculer la distance et les frais de livraison.',
+
+      'checkout.name': 'Nom',
+      'checkout.phone': 'Numéro de téléphone',
+      'checkout.placeOrder': 'Passer la commande',
+      'checkout.placing': 'Envoi de la commande…',
+      'checkout.backToCart': 'Retour au panier',
+      'checkout.deliveryTo': 'Livraison à : {address}',
+      'checkout.pickupFrom': 'À emporter chez Holy Hands Kitchen',
+      'checkout.scheduledFor': '{fulfilment} · prévue {when}',
+      'checkout.missingName': 'Veuillez saisir votre nom.',
+      'checkout.missingPhone': 'Veuillez saisir un numéro de téléphone où vous joindre.',
+      'checkout.justClosed': 'Désolés, nous venons de fermer. Vous pouvez commander pour notre réouverture.',
+      'checkout.unreachable': 'Impossible de joindre notre service de commande. Vérifiez votre connexion et réessayez.',
+      'checkout.failed': "Nous n'avons pas pu passer votre commande. Veuillez réessayer.",
+
+      'confirm.received': 'Commande reçue',
+      'confirm.order': 'Commande',
+      'confirm.receipt': 'Reçu',
+      'confirm.status': 'Suivi de la commande',
+      'confirm.done': 'Terminé',
+      'confirm.thanks': 'Merci, {name} !',
+      'confirm.numberPending': 'reçue',
+      'confirm.scheduledDelivery': "Nous commencerons à cuisiner à notre ouverture, {when}, et livrerons à l'adresse {address}.",
+      'confirm.scheduledPickup': 'Nous commencerons à cuisiner à notre ouverture, {when}, et vous enverrons un SMS quand ce sera prêt.',
+      'confirm.delivery': "Votre commande est en préparation et sera livrée à l'adresse {address}.",
+      'confirm.pickup': "Votre commande est en préparation. Nous vous enverrons un SMS dès qu'elle sera prête.",
+      'confirm.arriving': 'Arrivée vers {time}',
+      'confirm.readyAround': 'Prête vers {time}',
+      'order.number': 'Commande n° {number}',
+      'order.yours': 'Votre commande',
+      'order.statusUpdate': '{order} : {status}.',
+      'status.received': 'Commande reçue',
+      'status.preparing': 'En préparation',
+      'status.readyPickup': 'Prête à emporter',
+      'status.readyDelivery': 'En cours de livraison',
+      'status.completedPickup': 'Récupérée',
+      'status.completedDelivery': 'Livrée',
+
+      'offline.title': 'Vous êtes hors ligne',
+      'offline.saved': "Nous avons enregistré votre commande et l'enverrons dès votre retour en ligne. Gardez cette page ouverte.",
+      'offline.waiting': "en attente d'envoi",
+      'offline.announce': 'Vous êtes hors ligne. Votre commande sera envoyée à votre reconnexion.',
+      'offline.sent': 'Votre commande enregistrée a été envoyée.',
+      'offline.failedTitle': "Nous n'avons pas pu passer votre commande enregistrée",
+      'offline.failed': '{error} Vos plats sont de retour dans le panier.',
+      'offline.notSent': 'non envoyée',
+
+      'ordering.offNote': "La commande en ligne n'est pas encore activée. Votre commande sera enregistrée sur cet appareil et envoyée à la cuisine dès qu'elle le sera.",
+      'ordering.offTitle': 'Commande enregistrée, non envoyée',
+      'ordering.offSaved': "La commande en ligne n'est pas encore activée : votre commande n'est pas partie en cuisine. Nous l'avons enregistrée sur cet appareil et l'enverrons dès l'ouverture des commandes.",
+    },
+  };
+
+  function isSupported(lang) {
+    return Object.prototype.hasOwnProperty.call(LANGUAGES, lang);
+  }
+
+  // The saved choice, else the first browser language we speak, else English
+  function detectLanguage() {
+    try {
+      const saved = localStorage.getItem(STORAGE_KEY);
+      if (isSupported(saved)) return saved;
+    } catch (err) {
+      // Storage can be blocked; fall through to the browser's languages
+    }
+    const preferred = (navigator.languages && navigator.languages.length ? navigator.languages : [navigator.language])
+      .map((tag) => String(tag || '').toLowerCase().split('-')[0])
+      .find(isSupported);
+    return preferred || DEFAULT_LANGUAGE;
+  }
+
+  let language = detectLanguage();
+  const formatters = new Map();
+  document.documentElement.lang = language;
+
+  function getLanguage() {
+    return language;
+  }
+
+  function getLocale() {
+    return LANGUAGES[language].locale;
+  }
+
+  /**
+   * Switch language and remember the choice. Returns false for a language we
+   * don't have. Callers re-render whatever they've drawn.
+   */
+  function setLanguage(lang) {
+    if (!isSupported(lang)) return false;
+    language = lang;
+    document.documentElement.lang = lang;
+    try {
+      localStorage.setItem(STORAGE_KEY, lang);
+    } catch (err) {
+      console.warn('Could not save language choice', err);
+    }
+    return true;
+  }
+
+  /**
+   * The message for `key` in the current language with {placeholders} filled
+   * from `params`. Falls back to English, then to the key itself.
+   * @param {string} key
+   * @param {object} [params]
+   */
+  function t(key, params = {}) {
+    const message = MESSAGES[language][key] ?? MESSAGES[DEFAULT_LANGUAGE][key] ?? key;
+    return message.replace(/\{(\w+)\}/g, (match, name) => (params[name] == null ? match : String(params[name])));
+  }
+
+  /**
+   * A menu entry's `field` in the current language, from its `i18n` object,
+   * or the entry's own (English) value.
+   */
+  function localize(entry, field) {
+    if (!entry) return '';
+    const translated = entry.i18n && entry.i18n[language] && entry.i18n[language][field];
+    return typeof translated === 'string' && translated ? translated : entry[field];
+  }
+
+  function numberFormat(options) {
+    const id = `${getLocale()}|${JSON.stringify(options)}`;
+    if (!formatters.has(id)) formatters.set(id, new Intl.NumberFormat(getLocale(), options));
+    return formatters.get(id);
+  }
+
+  /**
+   * Format a dollar amount for the current locale: "$12.50" or "12,50 $US".
+   * @param {number} amount
+   */
+  function formatCurrency(amount) {
+    return numberFormat({ style: 'currency', currency: CURRENCY }).format(amount);
+  }
+
+  function formatNumber(value, options = {}) {
+    return numberFormat(options).format(value);
+  }
+
+  /**
+   * Fill in text and attributes for static markup marked with data-i18n*.
+   */
+  function translatePage(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach((el) => {
+      el.textContent = t(el.dataset.i18n);
+    });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach((el) => {
+      el.setAttribute('placeholder', t(el.dataset.i18nPlaceholder));
+    });
+    root.querySelectorAll('[data-i18n-aria-label]').forEach((el) => {
+      el.setAttribute('aria-label', t(el.dataset.i18nAriaLabel));
+    });
+  }
+
+  window.HH_I18N = {
+    LANGUAGES,
+    t,
+    getLanguage,
+    getLocale,
+    setLanguage,
+    localize,
+    formatCurrency,
+    formatNumber,
+    translatePage,
+  };
+})();
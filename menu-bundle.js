@@ -0,0 +1,625 @@
+/*
+ * Bundled copy of menu.json.
+ *
+ * script.js falls back to this when menu.json can't be fetched (offline,
+ * file:// previews, a bad deploy). Generated by tools/build-menu-bundle.js;
+ * edit menu.json and rebuild rather than changing this file.
+ */
+window.HH_BUNDLED_MENU = {
+  version: '2026-10-19.8',
+  currency: 'USD',
+  categories: [
+    {
+      id: 'plates',
+      name: 'Plates',
+      i18n: {
+        fr: {
+          name: 'Plats',
+        },
+      },
+    },
+    {
+      id: 'sides',
+      name: 'Sides',
+      i18n: {
+        fr: {
+          name: 'Accompagnements',
+        },
+      },
+    },
+    {
+      id: 'extras',
+      name: 'Extras',
+      i18n: {
+        fr: {
+          name: 'Extras',
+        },
+      },
+    },
+  ],
+  tags: [
+    {
+      id: 'chicken',
+      name: 'Chicken',
+      i18n: {
+        fr: {
+          name: 'Poulet',
+        },
+      },
+    },
+    {
+      id: 'beef',
+      name: 'Beef',
+      i18n: {
+        fr: {
+          name: 'Bœuf',
+        },
+      },
+    },
+    {
+      id: 'seafood',
+      name: 'Seafood',
+      i18n: {
+        fr: {
+          name: 'Fruits de mer',
+        },
+      },
+    },
+    {
+      id: 'vegetarian',
+      name: 'Vegetarian',
+      i18n: {
+        fr: {
+          name: 'Végétarien',
+        },
+      },
+    },
+    {
+      id: 'spicy',
+      name: 'Spicy',
+      i18n: {
+        fr: {
+          name: 'Épicé',
+        },
+      },
+    },
+  ],
+  heroPick: 'mild-pepper-chicken',
+  heroMinis: ['jumbo-shrimp', 'plantain-side'],
+  items: [
+    {
+      id: 'mild-pepper-chicken',
+      name: 'Mild Pepper Chicken with Jollof Rice',
+      price: 13,
+      description: 'Tender chicken, peppers, and fragrant jollof rice finished with house herbs.',
+      image: 'food/two_chicken_kebabs_over_jollof_rice.jpg',
+      category: 'plates',
+      available: true,
+      tags: ['chicken', 'spicy'],
+      modifiers: [
+        {
+          id: 'spice',
+          name: 'Spice level',
+          required: true,
+          multiple: false,
+          options: [
+            {
+              id: 'mild',
+              name: 'Mild',
+              priceDelta: 0,
+              i18n: {
+                fr: {
+                  name: 'Doux',
+                },
+              },
+            },
+            {
+              id: 'medium',
+              name: 'Medium',
+              priceDelta: 0,
+              i18n: {
+                fr: {
+                  name: 'Moyen',
+                },
+              },
+            },
+            {
+              id: 'extra-spicy',
+              name: 'Extra spicy',
+              priceDelta: 0,
+              i18n: {
+                fr: {
+                  name: 'Très épicé',
+                },
+              },
+            },
+          ],
+          i18n: {
+            fr: {
+              name: 'Niveau de piment',
+            },
+          },
+        },
+        {
+          id: 'side',
+          name: 'Add a side',
+          required: false,
+          multiple: true,
+          options: [
+            {
+              id: 'plantain',
+              name: 'Plantain',
+              priceDelta: 3,
+              i18n: {
+                fr: {
+                  name: 'Plantain',
+                },
+              },
+            },
+            {
+              id: 'attieke',
+              name: 'Attiéké',
+              priceDelta: 3,
+              i18n: {
+                fr: {
+                  name: 'Attiéké',
+                },
+              },
+            },
+            {
+              id: 'extra-jollof',
+              name: 'Extra jollof',
+              priceDelta: 3,
+              i18n: {
+                fr: {
+                  name: 'Jollof en extra',
+                },
+              },
+            },
+          ],
+          i18n: {
+            fr: {
+              name: 'Ajouter un accompagnement',
+            },
+          },
+        },
+        {
+          id: 'prep',
+          name: 'Preferences',
+          required: false,
+          multiple: true,
+          options: [
+            {
+              id: 'no-peppers',
+              name: 'No peppers',
+              priceDelta: 0,
+              i18n: {
+                fr: {
+                  name: 'Sans poivrons',
+                },
+              },
+            },
+            {
+              id: 'no-onions',
+              name: 'No onions',
+              priceDelta: 0,
+              i18n: {
+                fr: {
+                  name: 'Sans oignons',
+                },
+              },
+            },
+            {
+              id: 'sauce-on-side',
+              name: 'Sauce on the side',
+              priceDelta: 0,
+              i18n: {
+                fr: {
+                  name: 'Sauce à part',
+                },
+              },
+            },
+          ],
+          i18n: {
+            fr: {
+              name: 'Préférences',
+            },
+          },
+        },
+      ],
+      i18n: {
+        fr: {
+          name: 'Poulet au poivron doux et riz jollof',
+          description: 'Poulet tendre, poivrons et riz jollof parfumé, relevés d’herbes maison.',
+        },
+      },
+    },
+    {
+      id: 'plantain-side',
+      name: 'Side of Plantain',
+      price: 6,
+      description: 'Caramelized plantains with a hint of spice.',
+      image: null,
+      category: 'sides',
+      available: true,
+      tags: ['vegetarian'],
+      i18n: {
+        fr: {
+          name: 'Accompagnement de plantain',
+          description: 'Bananes plantains caramélisées, légèrement épicées.',
+        },
+      },
+    },
+    {
+      id: 'jumbo-shrimp',
+      name: '12 Jumbo Shrimp with Jollof Rice',
+      price: 20,
+      description: 'Juicy shrimp over smoky jollof rice.',
+      image: 'food/shrimp.jpg',
+      category: 'plates',
+      available: true,
+      tags: ['seafood'],
+      modifiers: [
+        {
+          id: 'spice',
+          name: 'Spice level',
+          required: true,
+          multiple: false,
+          options: [
+            {
+              id: 'mild',
+              name: 'Mild',
+              priceDelta: 0,
+              i18n: {
+                fr: {
+                  name: 'Doux',
+                },
+              },
+            },
+            {
+              id: 'medium',
+              name: 'Medium',
+              priceDelta: 0,
+              i18n: {
+                fr: {
+                  name: 'Moyen',
+                },
+              },
+            },
+            {
+              id: 'extra-spicy',
+              name: 'Extra spicy',
+              priceDelta: 0,
+              i18n: {
+                fr: {
+                  name: 'Très épicé',
+                },
+              },
+            },
+          ],
+          i18n: {
+            fr: {
+              name: 'Niveau de piment',
+            },
+          },
+        },
+        {
+          id: 'side',
+          name: 'Add a side',
+          required: false,
+          multiple: true,
+          options: [
+            {
+              id: 'plantain',
+              name: 'Plantain',
+              priceDelta: 3,
+              i18n: {
+                fr: {
+                  name: 'Plantain',
+                },
+              },
+            },
+            {
+              id: 'attieke',
+              name: 'Attiéké',
+              priceDelta: 3,
+              i18n: {
+                fr: {
+                  name: 'Attiéké',
+                },
+              },
+            },
+            {
+              id: 'extra-jollof',
+              name: 'Extra jollof',
+              priceDelta: 3,
+              i18n: {
+                fr: {
+                  name: 'Jollof en extra',
+                },
+              },
+            },
+          ],
+          i18n: {
+            fr: {
+              name: 'Ajouter un accompagnement',
+            },
+          },
+        },
+      ],
+      i18n: {
+        fr: {
+          name: '12 grosses crevettes et riz jollof',
+          description: 'Crevettes juteuses sur un riz jollof fumé.',
+        },
+      },
+    },
+    {
+      id: 'attieke-side',
+      name: 'Side of Attiéké',
+      price: 6,
+      description: 'Classic cassava couscous, light and fluffy.',
+      image: null,
+      category: 'sides',
+      available: true,
+      tags: ['vegetarian'],
+      i18n: {
+        fr: {
+          name: 'Accompagnement d’attiéké',
+          description: 'Le classique couscous de manioc, léger et moelleux.',
+        },
+      },
+    },
+    {
+      id: 'potato-salad-chicken',
+      name: 'Potato Salad with Chicken',
+      price: 13,
+      description: 'Creamy potato salad topped with seasoned chicken.',
+      image: null,
+      category: 'plates',
+      available: true,
+      tags: ['chicken'],
+      modifiers: [
+        {
+          id: 'side',
+          name: 'Add a side',
+          required: false,
+          multiple: true,
+          options: [
+            {
+              id: 'plantain',
+              name: 'Plantain',
+              priceDelta: 3,
+              i18n: {
+                fr: {
+                  name: 'Plantain',
+                },
+              },
+            },
+            {
+              id: 'attieke',
+              name: 'Attiéké',
+              priceDelta: 3,
+              i18n: {
+                fr: {
+                  name: 'Attiéké',
+                },
+              },
+            },
+            {
+              id: 'extra-jollof',
+              name: 'Extra jollof',
+              priceDelta: 3,
+              i18n: {
+                fr: {
+                  name: 'Jollof en extra',
+                },
+              },
+            },
+          ],
+          i18n: {
+            fr: {
+              name: 'Ajouter un accompagnement',
+            },
+          },
+        },
+      ],
+      i18n: {
+        fr: {
+          name: 'Salade de pommes de terre au poulet',
+          description: 'Salade de pommes de terre crémeuse garnie de poulet assaisonné.',
+        },
+      },
+    },
+    {
+      id: 'potato-salad-small',
+      name: 'Potato Salad Small bowl',
+      price: 7,
+      description: 'Snack-size portion of our signature potato salad.',
+      image: null,
+      category: 'sides',
+      available: true,
+      tags: ['vegetarian'],
+      i18n: {
+        fr: {
+          name: 'Petit bol de salade de pommes de terre',
+          description: 'Une petite portion de notre salade de pommes de terre maison.',
+        },
+      },
+    },
+    {
+      id: 'plantain-beef',
+      name: 'Plantain with Beef',
+      price: 13,
+      description: 'Sweet plantains paired with tender beef strips.',
+      image: 'food/two_beef_kebab.jpg',
+      category: 'plates',
+      available: true,
+      tags: ['beef'],
+      modifiers: [
+        {
+          id: 'spice',
+          name: 'Spice level',
+          required: true,
+          multiple: false,
+          options: [
+            {
+              id: 'mild',
+              name: 'Mild',
+              priceDelta: 0,
+              i18n: {
+                fr: {
+                  name: 'Doux',
+                },
+              },
+            },
+            {
+              id: 'medium',
+              name: 'Medium',
+              priceDelta: 0,
+              i18n: {
+                fr: {
+                  name: 'Moyen',
+                },
+              },
+            },
+            {
+              id: 'extra-spicy',
+              name: 'Extra spicy',
+              priceDelta: 0,
+              i18n: {
+                fr: {
+                  name: 'Très épicé',
+                },
+              },
+            },
+          ],
+          i18n: {
+            fr: {
+              name: 'Niveau de piment',
+            },
+          },
+        },
+        {
+          id: 'prep',
+          name: 'Preferences',
+          required: false,
+          multiple: true,
+          options: [
+            {
+              id: 'no-peppers',
+              name: 'No peppers',
+              priceDelta: 0,
+              i18n: {
+                fr: {
+                  name: 'Sans poivrons',
+                },
+              },
+            },
+            {
+              id: 'no-onions',
+              name: 'No onions',
+              priceDelta: 0,
+              i18n: {
+                fr: {
+                  name: 'Sans oignons',
+                },
+              },
+            },
+            {
+              id: 'sauce-on-side',
+              name: 'Sauce on the side',
+              priceDelta: 0,
+              i18n: {
+                fr: {
+                  name: 'Sauce à part',
+                },
+              },
+            },
+          ],
+          i18n: {
+            fr: {
+              name: 'Préférences',
+            },
+          },
+        },
+      ],
+      i18n: {
+        fr: {
+          name: 'Plantain au bœuf',
+          description: 'Bananes plantains sucrées et fines lanières de bœuf tendre.',
+        },
+      },
+    },
+    {
+      id: 'extra-jollof',
+      name: 'Extra Jollof Rice',
+      price: 6,
+      description: 'A hearty scoop of extra jollof for rice lovers.',
+      image: null,
+      category: 'extras',
+      available: true,
+      tags: ['vegetarian'],
+      i18n: {
+        fr: {
+          name: 'Riz jollof en extra',
+          description: 'Une généreuse portion de jollof en plus pour les amateurs de riz.',
+        },
+      },
+    },
+  ],
+  promotions: [
+    {
+      code: 'WELCOME10',
+      type: 'percent',
+      percent: 10,
+      minSubtotal: 20,
+      expires: '2026-12-31',
+      description: '10% off orders of $20 or more',
+      i18n: {
+        fr: {
+          description: '10 % de remise dès 20 $ d’achat',
+        },
+      },
+    },
+    {
+      code: 'FIVEOFF',
+      type: 'fixed',
+      amount: 5,
+      minSubtotal: 40,
+      expires: '2026-11-30',
+      description: '$5 off orders of $40 or more',
+      i18n: {
+        fr: {
+          description: '5 $ de remise dès 40 $ d’achat',
+        },
+      },
+    },
+    {
+      code: 'SHRIMPBOGO',
+      type: 'bogo',
+      itemId: 'jumbo-shrimp',
+      starts: '2026-10-20',
+      expires: '2026-10-31',
+      description: 'Buy one shrimp plate, get one free',
+      i18n: {
+        fr: {
+          description: 'Un plat de crevettes acheté, le deuxième offert',
+        },
+      },
+    },
+    {
+      code: 'PLATEPLUS',
+      type: 'free-side',
+      plateCategory: 'plates',
+      sideCategory: 'sides',
+      expires: '2026-12-31',
+      description: 'A free side with every plate',
+      i18n: {
+        fr: {
+          description: 'Un accompagnement offert avec chaque plat',
+        },
+      },
+    },
+  ],
+};
@@ -1,220 +1,2364 @@
-const menuItems = [
-  {
-    id: 'mild-pepper-chicken',
-    name: 'Mild Pepper Chicken with Jollof Rice',
-    price: 13,
-    description: 'Tender chicken, peppers, and fragrant jollof rice finished with house herbs.',
-    image: 'two_chicken_kebabs_over_jollof_rice.jpg',
-    featured: true,
-  },
-  {
-    id: 'plantain-side',
-    name: 'Side of Plantain',
-    price: 6,
-    description: 'Caramelized plantains with a hint of spice.',
-    image: 'jerk_chicken.jpg',
-  },
-  {
-    id: 'jumbo-shrimp',
-    name: '12 Jumbo Shrimp with Jollof Rice',
-    price: 20,
-    description: 'Juicy shrimp over smoky jollof rice.',
-    image: 'shrimp.jpg',
-    featured: true,
-  },
-  {
-    id: 'attieke-side',
-    name: 'Side of Attiéké',
-    price: 6,
-    description: 'Classic cassava couscous, light and fluffy.',
-    image: 'two_chicken_kebab.jpg',
-  },
-  {
-    id: 'potato-salad-chicken',
-    name: 'Potato Salad with Chicken',
-    price: 13,
-    description: 'Creamy potato salad topped with seasoned chicken.',
-    image: 'jerk_chicken.jpg',
-  },
-  {
-    id: 'potato-salad-small',
-    name: 'Potato Salad Small bowl',
-    price: 7,
-    description: 'Snack-size portion of our signature potato salad.',
-    image: 'jerk_chicken.jpg',
-  },
-  {
-    id: 'plantain-beef',
-    name: 'Plantain with Beef',
-    price: 13,
-    description: 'Sweet plantains paired with tender beef strips.',
-    image: 'two_beef_kebab.jpg',
-  },
-  {
-    id: 'extra-jollof',
-    name: 'Extra Jollof Rice',
-    price: 6,
-    description: 'A hearty scoop of extra jollof for rice lovers.',
-    image: 'two_chicken_kebabs_over_jollof_rice.jpg',
-  },
-];
-
-const cart = [];
-
-const menuGrid = document.getElementById('menuGrid');
-const mostOrderedGrid = document.getElementById('mostOrderedGrid');
-const cartPanel = document.getElementById('cartPanel');
-const cartScrim = document.getElementById('cartScrim');
-const cartItemsEl = document.getElementById('cartItems');
-const cartSubtotalEl = document.getElementById('cartSubtotal');
-const cartCountEl = document.getElementById('cartCount');
-const checkoutBtn = document.getElementById('checkoutBtn');
-const splashEl = document.getElementById('splash');
-
-function currency(value) {
-  return `$${value.toFixed(2)}`;
-}
-
-function addToCart(itemId) {
-  const existing = cart.find((c) => c.id === itemId);
-  if (existing) {
-    existing.qty += 1;
-  } else {
-    const item = menuItems.find((m) => m.id === itemId);
-    if (!item) return;
-    cart.push({ ...item, qty: 1 });
-  }
-  updateCartUI();
-  openCart();
-}
-
-function changeQty(itemId, delta) {
-  const target = cart.find((c) => c.id === itemId);
-  if (!target) return;
-  target.qty += delta;
-  if (target.qty <= 0) {
-    const idx = cart.indexOf(target);
-    cart.splice(idx, 1);
-  }
-  updateCartUI();
-}
-
-function renderCard(item) {
-  const card = document.createElement('article');
-  card.className = 'menu-card';
-  card.innerHTML = `
-    <img src="${item.image || 'holyhandslogo.png'}" alt="${item.name}">
-    <div class="menu-card-body">
-      <h3>${item.name}</h3>
-      <p>${item.description || ''}</p>
-      <div class="menu-actions">
-        <span class="menu-price">${currency(item.price)}</span>
-        <button class="add-btn" data-id="${item.id}">Add</button>
-      </div>
-    </div>
-  `;
-  return card;
-}
-
-function renderMenu() {
-  menuGrid.innerHTML = '';
-  menuItems.forEach((item) => {
-    const card = renderCard(item);
-    menuGrid.appendChild(card);
-  });
-}
-
-function renderMostOrdered() {
-  mostOrderedGrid.innerHTML = '';
-  menuItems
-    .filter((m) => m.featured)
-    .forEach((item) => {
-      const card = renderCard(item);
-      mostOrderedGrid.appendChild(card);
-    });
-}
-
-function updateCartUI() {
-  cartItemsEl.innerHTML = '';
-  let subtotal = 0;
-
-  cart.forEach((item) => {
-    subtotal += item.price * item.qty;
-    const row = document.createElement('div');
-    row.className = 'cart-item';
-    row.innerHTML = `
-      <div class="cart-item-header">
-        <strong>${item.name}</strong>
-        <span>${currency(item.price * item.qty)}</span>
-      </div>
-      <div class="quantity">
-        <button aria-label="Remove one" data-action="dec" data-id="${item.id}">−</button>
-        <span>${item.qty}</span>
-        <button aria-label="Add one" data-action="inc" data-id="${item.id}">+</button>
-      </div>
-    `;
-    cartItemsEl.appendChild(row);
-  });
-
-  cartSubtotalEl.textContent = currency(subtotal);
-  cartCountEl.textContent = cart.reduce((sum, item) => sum + item.qty, 0);
-  checkoutBtn.disabled = cart.length === 0;
-}
-
-function openCart() {
-  cartPanel.classList.add('open');
-  cartScrim.classList.add('visible');
-  cartPanel.setAttribute('aria-hidden', 'false');
-}
-
-function closeCart() {
-  cartPanel.classList.remove('open');
-  cartScrim.classList.remove('visible');
-  cartPanel.setAttribute('aria-hidden', 'true');
-}
-
-function wireEvents() {
-  menuGrid.addEventListener('click', (evt) => {
-    const btn = evt.target.closest('button[data-id]');
-    if (!btn) return;
-    addToCart(btn.dataset.id);
-  });
-
-  mostOrderedGrid.addEventListener('click', (evt) => {
-    const btn = evt.target.closest('button[data-id]');
-    if (!btn) return;
-    addToCart(btn.dataset.id);
-  });
-
-  cartItemsEl.addEventListener('click', (evt) => {
-    const btn = evt.target.closest('button[data-id]');
-    if (!btn) return;
-    const { action, id } = btn.dataset;
-    changeQty(id, action === 'inc' ? 1 : -1);
-  });
-
-  document.getElementById('viewCart').addEventListener('click', openCart);
-  document.getElementById('closeCart').addEventListener('click', closeCart);
-  cartScrim.addEventListener('click', closeCart);
-
-  checkoutBtn.addEventListener('click', () => {
-    const msg = 'Checkout connects to delcotechdivision.com for secure Stripe processing. Plug in your payment link to go live.';
-    alert(msg);
-  });
-}
-
-function initSplash() {
-  setTimeout(() => {
-    splashEl.classList.add('hide');
-    document.body.classList.remove('show-splash');
-  }, 1200);
-}
-
-function init() {
-  renderMenu();
-  renderMostOrdered();
-  wireEvents();
-  initSplash();
-}
-
+const { h, replaceChildren, safeUrl, safeImageUrl } = window.HH_DOM;
+const { t, getLanguage, getLocale, setLanguage, localize, formatCurrency, formatNumber, translatePage } = window.HH_I18N;
+const { PRICING, computeTotals, computeDeliveryFee, distanceMiles } = window.HH_TOTALS;
+const { SCHEDULE, getOpenState, momentAt, formatMoment } = window.HH_HOURS;
+const { normalizeCode, validatePromotion, evaluatePromotion } = window.HH_DISCOUNTS;
+
+const MENU_URL = 'menu.json';
+const BUNDLED_MENU = window.HH_BUNDLED_MENU || null;
+const IMAGE_MANIFEST_URL = 'img/manifest.json';
+
+// Populated from menu.json (or the bundled copy) by initMenu().
+let menuItems = [];
+let menuCategories = [];
+let menuTags = [];
+let menuVersion = null;
+let heroConfig = { pick: null, minis: [] };
+let menuPromotions = [];
+// Responsive variants per item id from tools/build-images.js; empty until the
+// image build has been run, in which case the original photos are used
+let imageManifest = {};
+
+const CART_STORAGE_KEY = 'hhCart';
+const CART_STORAGE_VERSION = 1;
+const NOTES_MAX_LENGTH = 140;
+
+const cart = [];
+
+// Pickup/delivery and tip choices made in the cart drawer. `distanceMiles` is
+// only set once `address` has been located. `scheduledFor` is the ISO time of
+// the next opening when the customer orders ahead while we're closed.
+const orderOptions = {
+  fulfilment: 'pickup',
+  address: '',
+  distanceMiles: null,
+  tipPercent: 0,
+  scheduledFor: null,
+  promoCode: null,
+};
+
+const menuGrid = document.getElementById('menuGrid');
+const mostOrderedGrid = document.getElementById('mostOrderedGrid');
+const cartPanel = document.getElementById('cartPanel');
+const cartScrim = document.getElementById('cartScrim');
+const cartAnnouncerEl = document.getElementById('cartAnnouncer');
+const hoursBannerEl = document.getElementById('hoursBanner');
+const hoursTextEl = document.getElementById('hoursText');
+const scheduleOrderBtn = document.getElementById('scheduleOrderBtn');
+const offlineBannerEl = document.getElementById('offlineBanner');
+const cartItemsEl = document.getElementById('cartItems');
+const cartSubtotalEl = document.getElementById('cartSubtotal');
+const deliveryFeeRowEl = document.getElementById('deliveryFeeRow');
+const cartDeliveryFeeEl = document.getElementById('cartDeliveryFee');
+const cartTaxEl = document.getElementById('cartTax');
+const cartTipEl = document.getElementById('cartTip');
+const cartTotalEl = document.getElementById('cartTotal');
+const deliveryFieldsEl = document.getElementById('deliveryFields');
+const deliveryAddressEl = document.getElementById('deliveryAddress');
+const deliveryStatusEl = document.getElementById('deliveryStatus');
+const tipOptionsEl = document.getElementById('tipOptions');
+const languageSwitchEl = document.getElementById('languageSwitch');
+const promoCodeEl = document.getElementById('promoCode');
+const promoStatusEl = document.getElementById('promoStatus');
+const discountRowEl = document.getElementById('discountRow');
+const cartCountEl = document.getElementById('cartCount');
+const checkoutBtn = document.getElementById('checkoutBtn');
+const menuNoticeEl = document.getElementById('menuNotice');
+const menuSearchEl = document.getElementById('menuSearch');
+const tagFiltersEl = document.getElementById('tagFilters');
+const categoryTabsEl = document.getElementById('categoryTabs');
+const itemDialog = document.getElementById('itemDialog');
+const itemDialogForm = document.getElementById('itemDialogForm');
+const cartViewEl = document.getElementById('cartView');
+const checkoutForm = document.getElementById('checkoutForm');
+const checkoutErrorEl = document.getElementById('checkoutError');
+const checkoutTotalEl = document.getElementById('checkoutTotal');
+const placeOrderBtn = document.getElementById('placeOrderBtn');
+const confirmViewEl = document.getElementById('confirmView');
+const trackOrderBtn = document.getElementById('trackOrder');
+
+/*
+ * Order requests go to the Holy Hands backend. The base comes from a
+ * `hh-api-base` meta tag (or a global HH_API_BASE) so the static site can be
+ * hosted separately from the API; "/" means same-origin paths. The tag ships
+ * empty until the backend is confirmed, and with no base online ordering is
+ * off: checkout keeps the order in the offline queue instead of sending it.
+ */
+const HH_META_API = document.querySelector('meta[name="hh-api-base"]');
+const apiBase = String(window.HH_API_BASE || (HH_META_API && HH_META_API.content) || '').trim();
+const ORDERING_ENABLED = apiBase !== '';
+const API_BASE = apiBase.replace(/\/$/, '');
+
+function api(path) {
+  return API_BASE ? `${API_BASE}${path}` : path;
+}
+const splashEl = document.getElementById('splash');
+
+function toCents(value) {
+  return Math.round(value * 100);
+}
+
+/**
+ * Check a menu catalog against the menu.json schema. Returns a list of
+ * human-readable problems; an empty list means the catalog is usable.
+ */
+function validateMenu(data) {
+  const errors = [];
+  if (!data || typeof data !== 'object') {
+    return ['Menu must be a JSON object'];
+  }
+
+  if (typeof data.version !== 'string' || !data.version.trim()) {
+    errors.push('Menu is missing a version');
+  }
+
+  if (!Array.isArray(data.categories) || !data.categories.length) {
+    errors.push('Menu must list at least one category');
+  }
+  const categoryIds = new Set();
+  (Array.isArray(data.categories) ? data.categories : []).forEach((cat, idx) => {
+    if (!cat || typeof cat.id !== 'string' || !cat.id) {
+      errors.push(`Category #${idx + 1} is missing an id`);
+      return;
+    }
+    if (categoryIds.has(cat.id)) errors.push(`Duplicate category id "${cat.id}"`);
+    if (typeof cat.name !== 'string' || !cat.name) errors.push(`Category "${cat.id}" is missing a name`);
+    validateTranslations(cat, `Category "${cat.id}"`).forEach((e) => errors.push(e));
+    categoryIds.add(cat.id);
+  });
+
+  const tagIds = new Set();
+  if (data.tags != null && !Array.isArray(data.tags)) {
+    errors.push('tags must be an array');
+  }
+  (Array.isArray(data.tags) ? data.tags : []).forEach((tag, idx) => {
+    if (!tag || typeof tag.id !== 'string' || !tag.id) {
+      errors.push(`Tag #${idx + 1} is missing an id`);
+      return;
+    }
+    if (tagIds.has(tag.id)) errors.push(`Duplicate tag id "${tag.id}"`);
+    if (typeof tag.name !== 'string' || !tag.name) errors.push(`Tag "${tag.id}" is missing a name`);
+    validateTranslations(tag, `Tag "${tag.id}"`).forEach((e) => errors.push(e));
+    tagIds.add(tag.id);
+  });
+
+  if (!Array.isArray(data.items) || !data.items.length) {
+    errors.push('Menu must list at least one item');
+  }
+  const itemIds = new Set();
+  (Array.isArray(data.items) ? data.items : []).forEach((item, idx) => {
+    if (!item || typeof item.id !== 'string' || !item.id) {
+      errors.push(`Item #${idx + 1} is missing an id`);
+      return;
+    }
+    const label = `Item "${item.id}"`;
+    if (itemIds.has(item.id)) errors.push(`Duplicate item id "${item.id}"`);
+    itemIds.add(item.id);
+
+    if (typeof item.name !== 'string' || !item.name) errors.push(`${label} is missing a name`);
+    if (typeof item.price !== 'number' || !Number.isFinite(item.price) || item.price < 0) {
+      errors.push(`${label} has an invalid price`);
+    }
+    if (!categoryIds.has(item.category)) errors.push(`${label} references unknown category "${item.category}"`);
+    if (item.description != null && typeof item.description !== 'string') errors.push(`${label} has an invalid description`);
+    if (item.image != null && typeof item.image !== 'string') errors.push(`${label} has an invalid image`);
+    if (item.available != null && typeof item.available !== 'boolean') errors.push(`${label} has an invalid availability flag`);
+    validateTranslations(item, label).forEach((e) => errors.push(e));
+    if (item.tags != null && (!Array.isArray(item.tags) || item.tags.some((t) => typeof t !== 'string'))) {
+      errors.push(`${label} has invalid tags`);
+    } else if (tagIds.size && item.tags) {
+      item.tags
+        .filter((t) => !tagIds.has(t))
+        .forEach((t) => errors.push(`${label} references unknown tag "${t}"`));
+    }
+    if (item.modifiers != null) {
+      validateModifiers(item.modifiers, label).forEach((e) => errors.push(e));
+    }
+  });
+
+  if (data.promotions != null && !Array.isArray(data.promotions)) {
+    errors.push('promotions must be an array');
+  }
+  const promoCodes = new Set();
+  (Array.isArray(data.promotions) ? data.promotions : []).forEach((promo) => {
+    const promoErrors = validatePromotion(promo);
+    promoErrors.forEach((e) => errors.push(e));
+    if (promoErrors.length) return;
+    const code = normalizeCode(promo.code);
+    if (promoCodes.has(code)) errors.push(`Duplicate promotion code "${code}"`);
+    validateTranslations(promo, `Promotion "${code}"`).forEach((e) => errors.push(e));
+    promoCodes.add(code);
+    if (promo.type === 'bogo' && !itemIds.has(promo.itemId)) {
+      errors.push(`Promotion "${code}" references unknown item "${promo.itemId}"`);
+    }
+    if (promo.type === 'free-side') {
+      [promo.plateCategory, promo.sideCategory]
+        .filter((id) => !categoryIds.has(id))
+        .forEach((id) => errors.push(`Promotion "${code}" references unknown category "${id}"`));
+    }
+  });
+
+  if (data.heroPick != null && !itemIds.has(data.heroPick)) {
+    errors.push(`heroPick references unknown item "${data.heroPick}"`);
+  }
+  if (data.heroMinis != null && !Array.isArray(data.heroMinis)) {
+    errors.push('heroMinis must be an array');
+  } else {
+    (data.heroMinis || [])
+      .filter((id) => !itemIds.has(id))
+      .forEach((id) => errors.push(`heroMinis references unknown item "${id}"`));
+  }
+
+  return errors;
+}
+
+function validateModifiers(groups, label) {
+  if (!Array.isArray(groups)) return [`${label} has invalid modifiers`];
+  const errors = [];
+  const groupIds = new Set();
+  groups.forEach((group, idx) => {
+    if (!group || typeof group.id !== 'string' || !group.id) {
+      errors.push(`${label} modifier group #${idx + 1} is missing an id`);
+      return;
+    }
+    const groupLabel = `${label} modifier group "${group.id}"`;
+    if (groupIds.has(group.id)) errors.push(`${label} has duplicate modifier group "${group.id}"`);
+    groupIds.add(group.id);
+    if (typeof group.name !== 'string' || !group.name) errors.push(`${groupLabel} is missing a name`);
+    validateTranslations(group, groupLabel).forEach((e) => errors.push(e));
+    if (!Array.isArray(group.options) || !group.options.length) {
+      errors.push(`${groupLabel} has no options`);
+      return;
+    }
+    const optionIds = new Set();
+    group.options.forEach((opt, optIdx) => {
+      if (!opt || typeof opt.id !== 'string' || !opt.id) {
+        errors.push(`${groupLabel} option #${optIdx + 1} is missing an id`);
+        return;
+      }
+      if (optionIds.has(opt.id)) errors.push(`${groupLabel} has duplicate option "${opt.id}"`);
+      optionIds.add(opt.id);
+      if (typeof opt.name !== 'string' || !opt.name) errors.push(`${groupLabel} option "${opt.id}" is missing a name`);
+      validateTranslations(opt, `${groupLabel} option "${opt.id}"`).forEach((e) => errors.push(e));
+      if (opt.priceDelta != null && (typeof opt.priceDelta !== 'number' || !Number.isFinite(opt.priceDelta))) {
+        errors.push(`${groupLabel} option "${opt.id}" has an invalid price delta`);
+      }
+    });
+  });
+  return errors;
+}
+
+/**
+ * `i18n` maps a language code to translated text fields for a menu entry,
+ * e.g. { "fr": { "name": "…" } }.
+ */
+function validateTranslations(entry, label) {
+  if (entry.i18n == null) return [];
+  if (typeof entry.i18n !== 'object' || Array.isArray(entry.i18n)) return [`${label} has invalid translations`];
+  return Object.entries(entry.i18n)
+    .filter(([, fields]) => !fields || typeof fields !== 'object' || Object.values(fields).some((v) => typeof v !== 'string'))
+    .map(([lang]) => `${label} has invalid "${lang}" translations`);
+}
+
+/**
+ * Fetch menu.json and validate it. Falls back to the bundled copy when the
+ * request fails or the file doesn't pass validation.
+ */
+async function loadMenu() {
+  try {
+    const resp = await fetch(MENU_URL, { cache: 'no-cache' });
+    if (!resp.ok) throw new Error(`Menu request failed (${resp.status})`);
+    const data = await resp.json();
+    const errors = validateMenu(data);
+    if (errors.length) throw new Error(`Invalid menu: ${errors.join('; ')}`);
+    return { menu: data, source: 'remote' };
+  } catch (err) {
+    console.warn('Could not load menu.json, using the bundled menu instead', err);
+  }
+
+  if (BUNDLED_MENU && !validateMenu(BUNDLED_MENU).length) {
+    return { menu: BUNDLED_MENU, source: 'bundled' };
+  }
+  throw new Error('No valid menu available');
+}
+
+function applyMenu(menu) {
+  menuVersion = menu.version;
+  heroConfig = { pick: menu.heroPick || null, minis: (menu.heroMinis || []).slice() };
+  menuPromotions = (menu.promotions || []).slice();
+  menuCategories = menu.categories.slice();
+  menuTags = (menu.tags || []).slice();
+  menuItems = menu.items.map((item) => ({
+    ...item,
+    description: item.description || '',
+    tags: item.tags || [],
+    modifiers: item.modifiers || [],
+    available: item.available !== false,
+  }));
+}
+
+function setMenuStatus(state) {
+  if (state === 'loading') {
+    replaceChildren(menuGrid, h('p', { className: 'menu-status' }, t('menu.loading')));
+    replaceChildren(mostOrderedGrid);
+  } else if (state === 'error') {
+    replaceChildren(menuGrid, h('div', { className: 'menu-status error' },
+      h('p', null, t('menu.loadError')),
+      h('button', { className: 'ghost', dataset: { action: 'retry-menu' } }, t('menu.retry')),
+    ));
+    replaceChildren(mostOrderedGrid);
+  }
+  menuGrid.setAttribute('aria-busy', state === 'loading' ? 'true' : 'false');
+}
+
+async function loadImageManifest() {
+  try {
+    const resp = await fetch(IMAGE_MANIFEST_URL, { cache: 'no-cache' });
+    if (!resp.ok) throw new Error(`Image manifest request failed (${resp.status})`);
+    const data = await resp.json();
+    imageManifest = data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+  } catch (err) {
+    imageManifest = {};
+  }
+}
+
+async function initMenu() {
+  setMenuStatus('loading');
+  try {
+    const [{ menu, source }] = await Promise.all([loadMenu(), loadImageManifest()]);
+    applyMenu(menu);
+    setMenuStatus('ready');
+    if (menuNoticeEl) {
+      menuNoticeEl.hidden = source !== 'bundled';
+    }
+    readFiltersFromHash();
+    renderTagFilters();
+    renderMenu();
+    if (hasActiveFilters()) {
+      document.getElementById('menu').scrollIntoView();
+    }
+    renderMostOrdered();
+    renderHero();
+    restoreCart();
+    updateCartUI();
+    flushOrderQueue();
+  } catch (err) {
+    console.error('Menu unavailable', err);
+    setMenuStatus('error');
+  }
+}
+
+/**
+ * Resolve a list of { group, option } selections against an item's modifier
+ * groups. Returns the priced selections, or null if any selection is unknown
+ * or a required group was left empty.
+ */
+function resolveModifiers(item, selections = []) {
+  const groups = item.modifiers || [];
+  const resolved = [];
+
+  for (const sel of selections) {
+    const group = groups.find((g) => g.id === sel?.group);
+    const option = group?.options.find((o) => o.id === sel?.option);
+    if (!option) return null;
+    if (!group.multiple && resolved.some((r) => r.groupId === group.id)) return null;
+    if (resolved.some((r) => r.groupId === group.id && r.optionId === option.id)) continue;
+    resolved.push({
+      groupId: group.id,
+      optionId: option.id,
+      name: option.name,
+      priceDelta: option.priceDelta || 0,
+    });
+  }
+
+  const missingRequired = groups.some((g) => g.required && !resolved.some((r) => r.groupId === g.id));
+  return missingRequired ? null : resolved;
+}
+
+/**
+ * Cart lines are keyed by item id, the chosen modifiers and the note, so the
+ * same dish with different choices stays on separate lines.
+ */
+function cartLineKey(itemId, modifiers, notes) {
+  const modKey = modifiers
+    .map((m) => `${m.groupId}:${m.optionId}`)
+    .sort()
+    .join(',');
+  return `${itemId}|${modKey}|${normalizeText(notes).trim()}`;
+}
+
+/**
+ * Add `qty` of an item with the given modifier selections. Returns false when
+ * the item or its selections are no longer valid.
+ */
+function addCartLine(item, selections, notes, qty) {
+  const modifiers = resolveModifiers(item, selections);
+  if (!modifiers) return false;
+  const cleanNotes = String(notes || '').trim().slice(0, NOTES_MAX_LENGTH);
+  const key = cartLineKey(item.id, modifiers, cleanNotes);
+
+  const existing = cart.find((c) => c.key === key);
+  if (existing) {
+    existing.qty += qty;
+    return true;
+  }
+
+  cart.push({
+    key,
+    id: item.id,
+    name: item.name,
+    image: item.image,
+    basePrice: item.price,
+    price: item.price + modifiers.reduce((sum, m) => sum + m.priceDelta, 0),
+    modifiers,
+    notes: cleanNotes,
+    qty,
+  });
+  return true;
+}
+
+/*
+ * Cart lines and the order payload keep the menu's English names, so the
+ * kitchen always sees one language; these give the customer's language.
+ */
+function lineName(line) {
+  return localize(menuItems.find((m) => m.id === line.id), 'name') || line.name;
+}
+
+function modifierName(itemId, modifier) {
+  const group = menuItems.find((m) => m.id === itemId)?.modifiers.find((g) => g.id === modifier.groupId);
+  return localize(group?.options.find((o) => o.id === modifier.optionId), 'name') || modifier.name;
+}
+
+function addToCart(itemId) {
+  const item = menuItems.find((m) => m.id === itemId);
+  if (!item || !item.available || !canOrder()) return;
+
+  // Dishes with choices go through the chooser dialog first
+  if (item.modifiers?.length) {
+    openItemDialog(item);
+    return;
+  }
+
+  addCartLine(item, [], '', 1);
+  saveCart();
+  updateCartUI();
+  openCart();
+  announceCart(t('cart.added', { name: localize(item, 'name') }));
+}
+
+function changeQty(lineKey, delta) {
+  const target = cart.find((c) => c.key === lineKey);
+  if (!target) return;
+  target.qty += delta;
+  if (target.qty <= 0) {
+    const idx = cart.indexOf(target);
+    cart.splice(idx, 1);
+  }
+  saveCart();
+  updateCartUI();
+  announceCart(target.qty > 0
+    ? t('cart.quantity', { name: lineName(target), quantity: target.qty })
+    : t('cart.removed', { name: lineName(target) }));
+}
+
+/**
+ * Persist the cart as item ids, quantities, modifier choices and notes only.
+ * Prices are never stored, so a restored cart always reflects the current menu.
+ */
+function saveCart() {
+  try {
+    localStorage.setItem(CART_STORAGE_KEY, JSON.stringify({
+      version: CART_STORAGE_VERSION,
+      lines: cart.map((line) => ({
+        id: line.id,
+        qty: line.qty,
+        modifiers: line.modifiers.map((m) => ({ group: m.groupId, option: m.optionId })),
+        notes: line.notes,
+      })),
+    }));
+  } catch (err) {
+    console.warn('Could not save cart', err);
+  }
+}
+
+function readStoredCart() {
+  try {
+    const raw = localStorage.getItem(CART_STORAGE_KEY);
+    if (!raw) return [];
+    const parsed = JSON.parse(raw);
+    if (parsed?.version !== CART_STORAGE_VERSION || !Array.isArray(parsed.lines)) return [];
+    return parsed.lines;
+  } catch (err) {
+    console.warn('Could not read saved cart', err);
+    return [];
+  }
+}
+
+/**
+ * Rebuild the in-memory cart from storage, re-priced against the current
+ * menuItems. Lines for items that were removed, sold out, or whose modifier
+ * choices no longer exist are dropped.
+ */
+function restoreCart() {
+  const lines = readStoredCart();
+  let dropped = false;
+  cart.length = 0;
+
+  lines.forEach((line) => {
+    const item = menuItems.find((m) => m.id === line?.id);
+    const qty = parseInt(line?.qty, 10);
+    const selections = Array.isArray(line?.modifiers) ? line.modifiers : [];
+    if (!item || !item.available || !(qty > 0) || !addCartLine(item, selections, line.notes, qty)) {
+      dropped = true;
+    }
+  });
+
+  if (dropped) saveCart();
+}
+
+/*
+ * Modifier chooser. Opens for dishes that have choice groups (spice level,
+ * sides, preparation notes) and adds the configured line to the cart.
+ */
+let dialogItem = null;
+
+function selectedDialogModifiers() {
+  return [...itemDialogForm.querySelectorAll('input[data-group]:checked')].map((input) => ({
+    group: input.dataset.group,
+    option: input.value,
+  }));
+}
+
+function updateItemDialogPrice() {
+  if (!dialogItem) return;
+  const groups = dialogItem.modifiers || [];
+  const delta = selectedDialogModifiers().reduce((sum, sel) => {
+    const option = groups.find((g) => g.id === sel.group)?.options.find((o) => o.id === sel.option);
+    return sum + (option?.priceDelta || 0);
+  }, 0);
+  itemDialogForm.querySelector('[data-role="dialog-price"]').textContent = formatCurrency(dialogItem.price + delta);
+}
+
+function formatPriceDelta(delta) {
+  if (!delta) return '';
+  return delta > 0 ? `+${formatCurrency(delta)}` : `−${formatCurrency(Math.abs(delta))}`;
+}
+
+function openItemDialog(item) {
+  dialogItem = item;
+  const groups = item.modifiers.map((group) => {
+    const inputType = group.multiple ? 'checkbox' : 'radio';
+    const hint = group.required ? t(group.multiple ? 'dialog.chooseOne' : 'dialog.required') : t('dialog.optional');
+    return h('fieldset', { className: 'modifier-group', dataset: { group: group.id } },
+      h('legend', null, localize(group, 'name'), ' ', h('span', { className: 'micro' }, hint)),
+      group.options.map((opt) => h('label', { className: 'modifier-option' },
+        h('input', { type: inputType, name: `mod-${group.id}`, value: opt.id, dataset: { group: group.id } }),
+        h('span', null, localize(opt, 'name')),
+        h('span', { className: 'modifier-price' }, formatPriceDelta(opt.priceDelta)),
+      )),
+    );
+  });
+
+  replaceChildren(itemDialogForm,
+    h('div', { className: 'item-dialog-header' },
+      h('div', null,
+        h('h3', { id: 'itemDialogTitle' }, localize(item, 'name')),
+        h('p', { className: 'muted' }, localize(item, 'description')),
+      ),
+      h('button', { type: 'button', className: 'dialog-close', 'aria-label': t('dialog.close'), dataset: { action: 'cancel' } }, '×'),
+    ),
+    h('div', { className: 'item-dialog-body' },
+      groups,
+      h('label', { className: 'modifier-notes' },
+        h('span', null, t('dialog.notes')),
+        h('textarea', { name: 'notes', rows: 2, maxlength: NOTES_MAX_LENGTH, placeholder: t('dialog.notesPlaceholder') }),
+      ),
+      h('p', { className: 'checkout-error', role: 'alert', hidden: true, dataset: { role: 'dialog-error' } }),
+    ),
+    h('div', { className: 'item-dialog-footer' },
+      h('button', { type: 'submit', className: 'cta full' },
+        t('dialog.addToOrder'),
+        h('span', { dataset: { role: 'dialog-price' } }, formatCurrency(item.price)),
+      ),
+    ),
+  );
+
+  if (typeof itemDialog.showModal === 'function') {
+    itemDialog.showModal();
+  } else {
+    itemDialog.setAttribute('open', '');
+  }
+  const firstInput = itemDialogForm.querySelector('input, textarea');
+  if (firstInput) firstInput.focus();
+}
+
+function closeItemDialog() {
+  dialogItem = null;
+  if (typeof itemDialog.close === 'function') {
+    itemDialog.close();
+  } else {
+    itemDialog.removeAttribute('open');
+  }
+}
+
+function submitItemDialog() {
+  const item = dialogItem;
+  if (!item) return;
+  if (!canOrder()) {
+    closeItemDialog();
+    return;
+  }
+  const errorEl = itemDialogForm.querySelector('[data-role="dialog-error"]');
+  const selections = selectedDialogModifiers();
+
+  const missing = item.modifiers.find((g) => g.required && !selections.some((s) => s.group === g.id));
+  if (missing) {
+    errorEl.textContent = t('dialog.missingChoice', { group: localize(missing, 'name') });
+    errorEl.hidden = false;
+    itemDialogForm.querySelector(`fieldset[data-group="${missing.id}"] input`)?.focus();
+    return;
+  }
+
+  const notes = itemDialogForm.elements.notes.value;
+  if (!addCartLine(item, selections, notes, 1)) return;
+  closeItemDialog();
+  saveCart();
+  updateCartUI();
+  openCart();
+  announceCart(t('cart.added', { name: localize(item, 'name') }));
+}
+
+const CARD_IMAGE_SIZES = '(max-width: 560px) 92vw, (max-width: 900px) 46vw, 300px';
+
+function toSrcset(variants) {
+  return (Array.isArray(variants) ? variants : [])
+    .map((v) => `${v.src} ${v.width}w`)
+    .join(', ');
+}
+
+/**
+ * Photo for a menu item. Uses the AVIF/WebP/JPEG variants from the image build
+ * when there are some, with the blurred placeholder showing until the photo
+ * has loaded; otherwise the original photo. Dishes without a photo of their
+ * own get the logo tile rather than another dish's picture.
+ */
+function renderItemPhoto(item, { sizes = CARD_IMAGE_SIZES, loading = 'lazy' } = {}) {
+  if (!item.image) {
+    return h('div', { className: 'item-photo no-photo' },
+      h('img', { src: safeImageUrl(null), alt: '', loading }),
+    );
+  }
+
+  const built = imageManifest[item.id];
+  if (!built || !built.formats) {
+    return h('div', { className: 'item-photo' },
+      h('img', { src: safeImageUrl(item.image), alt: localize(item, 'name'), loading, decoding: 'async' }),
+    );
+  }
+
+  const { avif, webp, jpeg } = built.formats;
+  const img = h('img', {
+    src: safeImageUrl(built.src || item.image),
+    srcset: toSrcset(jpeg),
+    sizes,
+    alt: localize(item, 'name'),
+    width: built.width,
+    height: built.height,
+    loading,
+    decoding: 'async',
+  });
+  const photo = h('div', { className: 'item-photo blur-up' },
+    h('picture', null,
+      avif && avif.length > 0 ? h('source', { type: 'image/avif', srcset: toSrcset(avif), sizes }) : null,
+      webp && webp.length > 0 ? h('source', { type: 'image/webp', srcset: toSrcset(webp), sizes }) : null,
+      img,
+    ),
+  );
+
+  const placeholder = safeUrl(built.placeholder, '');
+  if (placeholder.startsWith('data:image/')) {
+    photo.style.backgroundImage = `url("${placeholder}")`;
+  }
+  const reveal = () => photo.classList.add('loaded');
+  if (img.complete && img.naturalWidth) {
+    reveal();
+  } else {
+    img.addEventListener('load', reveal, { once: true });
+    img.addEventListener('error', reveal, { once: true });
+  }
+  return photo;
+}
+
+function renderCard(item) {
+  return h('article', { className: item.available ? 'menu-card' : 'menu-card sold-out' },
+    renderItemPhoto(item),
+    h('div', { className: 'menu-card-body' },
+      h('h3', null, localize(item, 'name')),
+      h('p', null, localize(item, 'description')),
+      h('div', { className: 'menu-actions' },
+        h('span', { className: 'menu-price' }, formatCurrency(item.price)),
+        item.available
+          ? h('button', { className: 'add-btn', dataset: { id: item.id }, disabled: !canOrder() }, t('menu.add'))
+          : h('span', { className: 'pill muted' }, t('menu.soldOut')),
+      ),
+    ),
+  );
+}
+
+/*
+ * Hero. The "Chef's pick" card and the minis under it come from menu.json's
+ * heroPick / heroMinis, so their names and prices always match the menu.
+ */
+const HERO_PICK_SIZES = '(max-width: 900px) 92vw, 560px';
+const HERO_MINI_SIZES = '96px';
+
+function heroLabel(item) {
+  const tag = menuTags.find((t) => item.tags.includes(t.id));
+  const category = menuCategories.find((c) => c.id === item.category);
+  return localize(tag, 'name') || localize(category, 'name');
+}
+
+function renderHeroAction(item) {
+  return item.available
+    ? h('button', {
+      className: 'add-btn',
+      dataset: { id: item.id },
+      disabled: !canOrder(),
+      'aria-label': t('menu.addItem', { name: localize(item, 'name') }),
+    }, t('menu.add'))
+    : h('span', { className: 'pill muted' }, t('menu.soldOut'));
+}
+
+function renderHeroPick(item) {
+  return h('article', { className: 'hero-card', dataset: { id: item.id } },
+    renderItemPhoto(item, { sizes: HERO_PICK_SIZES, loading: 'eager' }),
+    h('div', { className: 'hero-card-body' },
+      h('p', { className: 'micro' }, t('hero.chefsPick')),
+      h('p', { className: 'hero-card-title' }, localize(item, 'name')),
+      h('div', { className: 'hero-card-actions' },
+        h('p', { className: 'hero-card-price' }, formatCurrency(item.price)),
+        renderHeroAction(item),
+      ),
+    ),
+  );
+}
+
+function renderHeroMini(item) {
+  return h('article', { className: 'mini-card', dataset: { id: item.id } },
+    renderItemPhoto(item, { sizes: HERO_MINI_SIZES }),
+    h('div', { className: 'mini-card-body' },
+      h('p', { className: 'micro' }, heroLabel(item)),
+      h('p', { className: 'mini-title' }, localize(item, 'name')),
+      renderHeroAction(item),
+    ),
+  );
+}
+
+function renderHero() {
+  const find = (id) => menuItems.find((m) => m.id === id);
+  const pick = find(heroConfig.pick);
+  const minis = heroConfig.minis.map(find).filter(Boolean);
+
+  replaceChildren(document.getElementById('heroPick'), pick && renderHeroPick(pick));
+  replaceChildren(document.getElementById('heroMinis'), minis.map(renderHeroMini));
+  document.getElementById('heroMedia').hidden = !pick && !minis.length;
+}
+
+/*
+ * Menu filters. The search text and selected tags are mirrored into the URL
+ * hash (e.g. #menu?q=jollof&tags=spicy,chicken) so a filtered view can be
+ * shared as a link.
+ */
+const MENU_HASH_PREFIX = '#menu?';
+const menuFilters = { query: '', tags: new Set() };
+
+function normalizeText(value) {
+  return String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+}
+
+function matchesFilters(item) {
+  for (const tag of menuFilters.tags) {
+    if (!item.tags.includes(tag)) return false;
+  }
+  const query = normalizeText(menuFilters.query).trim();
+  if (!query) return true;
+  // English and translated text both match, whichever language is showing
+  const haystack = normalizeText([
+    item.name,
+    item.description,
+    localize(item, 'name'),
+    localize(item, 'description'),
+    ...item.tags,
+  ].join(' '));
+  return query.split(/\s+/).every((word) => haystack.includes(word));
+}
+
+function hasActiveFilters() {
+  return Boolean(menuFilters.query.trim()) || menuFilters.tags.size > 0;
+}
+
+function readFiltersFromHash() {
+  const { hash } = window.location;
+  const params = new URLSearchParams(hash.startsWith(MENU_HASH_PREFIX) ? hash.slice(MENU_HASH_PREFIX.length) : '');
+  menuFilters.query = params.get('q') || '';
+  menuFilters.tags = new Set((params.get('tags') || '').split(',').filter(Boolean));
+}
+
+function writeFiltersToHash() {
+  const params = new URLSearchParams();
+  const query = menuFilters.query.trim();
+  if (query) params.set('q', query);
+  if (menuFilters.tags.size) params.set('tags', [...menuFilters.tags].join(','));
+
+  const current = window.location.hash;
+  let next = current;
+  if (params.toString()) {
+    next = MENU_HASH_PREFIX + params.toString().replace(/%2C/g, ',');
+  } else if (current.startsWith(MENU_HASH_PREFIX)) {
+    next = '#menu';
+  }
+  if (next !== current) {
+    // replaceState so typing in the search box doesn't flood the history
+    history.replaceState(null, '', next);
+  }
+}
+
+function syncFilterControls() {
+  if (menuSearchEl && menuSearchEl.value !== menuFilters.query) {
+    menuSearchEl.value = menuFilters.query;
+  }
+  tagFiltersEl.querySelectorAll('button[data-tag]').forEach((btn) => {
+    btn.setAttribute('aria-pressed', String(menuFilters.tags.has(btn.dataset.tag)));
+  });
+}
+
+function renderTagFilters() {
+  const usedTags = new Set(menuItems.flatMap((item) => item.tags));
+  replaceChildren(tagFiltersEl, menuTags
+    .filter((tag) => usedTags.has(tag.id))
+    .map((tag) => h('button', {
+      type: 'button',
+      className: 'filter-chip',
+      'aria-pressed': 'false',
+      dataset: { tag: tag.id },
+    }, localize(tag, 'name'))));
+  syncFilterControls();
+}
+
+function renderCategoryTabs(categories) {
+  replaceChildren(categoryTabsEl, categories.map((cat) => h('button', {
+    type: 'button',
+    className: 'category-tab',
+    dataset: { category: cat.id },
+  }, localize(cat, 'name'))));
+  const first = categoryTabsEl.querySelector('.category-tab');
+  if (first) first.classList.add('active');
+  observeCategorySections();
+}
+
+function setActiveCategoryTab(categoryId) {
+  categoryTabsEl.querySelectorAll('.category-tab').forEach((tab) => {
+    const active = tab.dataset.category === categoryId;
+    tab.classList.toggle('active', active);
+    if (active) {
+      tab.setAttribute('aria-current', 'true');
+    } else {
+      tab.removeAttribute('aria-current');
+    }
+  });
+}
+
+let categoryObserver = null;
+
+// Highlight the tab for whichever category section is at the top of the view.
+function observeCategorySections() {
+  if (!('IntersectionObserver' in window)) return;
+  if (categoryObserver) categoryObserver.disconnect();
+  categoryObserver = new IntersectionObserver((entries) => {
+    const visible = entries
+      .filter((entry) => entry.isIntersecting)
+      .sort((a, b) => a.boundingClientRect.top - b.boundingClientRect.top);
+    if (visible.length) {
+      setActiveCategoryTab(visible[0].target.dataset.category);
+    }
+  }, { rootMargin: '-160px 0px -55% 0px' });
+  menuGrid.querySelectorAll('.menu-category').forEach((section) => categoryObserver.observe(section));
+}
+
+function renderMenu() {
+  const visibleItems = menuItems.filter(matchesFilters);
+  const visibleCategories = menuCategories.filter((cat) => visibleItems.some((item) => item.category === cat.id));
+
+  if (!visibleItems.length) {
+    replaceChildren(menuGrid, h('div', { className: 'menu-status' },
+      h('p', null, t('menu.noMatches')),
+      h('button', { className: 'ghost', dataset: { action: 'clear-filters' } }, t('menu.clearFilters')),
+    ));
+  } else {
+    replaceChildren(menuGrid, visibleCategories.map((cat) => h('section', {
+      className: 'menu-category',
+      id: `menu-${cat.id}`,
+      dataset: { category: cat.id },
+    },
+      h('h3', { className: 'menu-category-title' }, localize(cat, 'name')),
+      h('div', { className: 'menu-grid' },
+        visibleItems
+          .filter((item) => item.category === cat.id)
+          .map(renderCard),
+      ),
+    )));
+  }
+
+  renderCategoryTabs(visibleCategories);
+}
+
+function applyFilters() {
+  writeFiltersToHash();
+  syncFilterControls();
+  renderMenu();
+}
+
+function clearFilters() {
+  menuFilters.query = '';
+  menuFilters.tags.clear();
+  applyFilters();
+}
+
+/*
+ * "Most Ordered" is ranked from real order counts. Counts come from a
+ * pluggable source named by the `hh-order-stats` meta tag: a path to a JSON
+ * stats file (the default, order-stats.json, written from the backend's
+ * orders at deploy time) or "api" for the backend's /order-stats endpoint.
+ * The window is the `hh-order-stats-days` meta tag. Items marked
+ * `featured: true` in the menu are pinned ahead of the ranked ones. Without
+ * stats for the window the section and its links stay hidden, so nothing is
+ * ranked from made-up numbers.
+ */
+const HH_META_ORDER_STATS = document.querySelector('meta[name="hh-order-stats"]');
+const HH_META_ORDER_STATS_DAYS = document.querySelector('meta[name="hh-order-stats-days"]');
+const MOST_ORDERED = {
+  source: (HH_META_ORDER_STATS && HH_META_ORDER_STATS.content.trim()) || 'order-stats.json',
+  windowDays: Math.max(1, Math.floor(Number(HH_META_ORDER_STATS_DAYS && HH_META_ORDER_STATS_DAYS.content)) || 30),
+  limit: 4,
+};
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let orderCounts = null;
+
+const orderStatsSources = {
+  api: () => fetch(api(`/order-stats?days=${MOST_ORDERED.windowDays}`)),
+  file: (url) => fetch(url, { cache: 'no-cache' }),
+};
+
+async function loadOrderStats() {
+  const fetchStats = MOST_ORDERED.source === 'api'
+    ? orderStatsSources.api
+    : orderStatsSources.file;
+  try {
+    const resp = await fetchStats(MOST_ORDERED.source);
+    if (!resp.ok) throw new Error(`Order stats request failed (${resp.status})`);
+    return await resp.json();
+  } catch (err) {
+    console.warn('Could not load order stats; hiding Most Ordered', err);
+    return null;
+  }
+}
+
+/**
+ * Sum per-item order counts over the last `windowDays`. Accepts either
+ * pre-aggregated `{ windowDays, counts }` or daily
+ * `{ days: [{ date, counts }] }`. The window ends at the stats' `generatedAt`
+ * so a file refreshed by a nightly job doesn't go empty between runs.
+ * Pre-aggregated counts can't be cut down to a window, so they are only used
+ * when they say they cover exactly this one. Returns null when there is
+ * nothing usable.
+ */
+function aggregateOrderCounts(stats, windowDays, now = new Date()) {
+  const totals = new Map();
+  const add = (counts) => {
+    Object.entries(counts || {}).forEach(([id, count]) => {
+      const n = Number(count);
+      if (Number.isFinite(n) && n > 0) totals.set(id, (totals.get(id) || 0) + n);
+    });
+  };
+
+  if (!stats) return null;
+  if (stats.counts) {
+    if (Number(stats.windowDays) !== windowDays) {
+      console.warn(`Order stats cover ${stats.windowDays} days, not ${windowDays}; not ranking from them`);
+      return null;
+    }
+    add(stats.counts);
+    return totals;
+  }
+  if (!Array.isArray(stats.days)) return null;
+
+  const generatedAt = Date.parse(stats.generatedAt);
+  const end = Number.isFinite(generatedAt) ? generatedAt : now.getTime();
+  const start = end - windowDays * DAY_MS;
+  stats.days.forEach((day) => {
+    const time = Date.parse(day?.date);
+    if (Number.isFinite(time) && time > start && time <= end) add(day.counts);
+  });
+  return totals;
+}
+
+/**
+ * Pinned (featured) dishes first, then the best sellers by count. Sold-out
+ * dishes and dishes nobody ordered in the window are left out.
+ */
+function rankMostOrdered(items, counts, limit) {
+  const available = items.filter((item) => item.available);
+  const pinned = available.filter((item) => item.featured);
+  const ranked = available
+    .filter((item) => !item.featured && counts.get(item.id) > 0)
+    .sort((a, b) => counts.get(b.id) - counts.get(a.id) || a.name.localeCompare(b.name));
+  return pinned.concat(ranked).slice(0, Math.max(limit, pinned.length));
+}
+
+function renderMostOrdered() {
+  const items = orderCounts ? rankMostOrdered(menuItems, orderCounts, MOST_ORDERED.limit) : [];
+  document.getElementById('most-ordered').hidden = !items.length;
+  document.querySelectorAll('a[href="#most-ordered"]').forEach((link) => {
+    link.hidden = !items.length;
+  });
+  replaceChildren(mostOrderedGrid, items.map(renderCard));
+}
+
+async function initMostOrdered() {
+  const stats = await loadOrderStats();
+  orderCounts = aggregateOrderCounts(stats, MOST_ORDERED.windowDays);
+  if (menuItems.length) renderMostOrdered();
+}
+
+/*
+ * Business hours. The open/closed state is re-checked every minute. While the
+ * kitchen is closed the Add buttons and checkout are disabled, unless the
+ * customer has chosen to order ahead for the next opening.
+ */
+const HOURS_CHECK_MS = 60 * 1000;
+let hoursState = { open: true, closesAt: null };
+
+function canOrder() {
+  return hoursState.open || Boolean(orderOptions.scheduledFor);
+}
+
+function nextOpeningIso() {
+  return !hoursState.open && hoursState.opensAt ? hoursState.opensAt.at.toISOString() : null;
+}
+
+// formatMoment in the current language
+function formatWhen(moment, options = {}) {
+  return formatMoment(moment, SCHEDULE, {
+    locale: getLocale(),
+    phrases: { today: t('time.today'), tomorrow: t('time.tomorrow'), other: t('time.other') },
+    ...options,
+  });
+}
+
+function renderHoursBanner() {
+  const { open, closesAt, opensAt } = hoursState;
+  hoursBannerEl.hidden = false;
+  hoursBannerEl.classList.toggle('open', open);
+
+  if (open) {
+    hoursTextEl.textContent = t('hours.openUntil', { time: formatWhen(closesAt, { withDay: false }) });
+  } else if (opensAt) {
+    hoursTextEl.textContent = t('hours.closedUntil', { when: formatWhen(opensAt) });
+  } else {
+    hoursTextEl.textContent = t('hours.closed');
+  }
+
+  const canSchedule = !open && Boolean(opensAt) && SCHEDULE.allowScheduling;
+  scheduleOrderBtn.hidden = !canSchedule;
+  if (canSchedule) {
+    const scheduled = Boolean(orderOptions.scheduledFor);
+    scheduleOrderBtn.setAttribute('aria-pressed', String(scheduled));
+    scheduleOrderBtn.textContent = t(scheduled ? 'hours.orderingAhead' : 'hours.orderAhead', { when: formatWhen(opensAt) });
+  }
+}
+
+/**
+ * Enable or disable every ordering control for the current hours state.
+ */
+function applyOrderingState() {
+  const allowed = canOrder();
+  document.querySelectorAll('.add-btn').forEach((btn) => {
+    btn.disabled = !allowed;
+  });
+  checkoutBtn.disabled = cart.length === 0 || !allowed;
+}
+
+function updateHours(now = new Date()) {
+  hoursState = getOpenState(now);
+  // Once we open, or the slot that was picked has gone, ordering ahead no longer applies
+  if (orderOptions.scheduledFor && orderOptions.scheduledFor !== nextOpeningIso()) {
+    orderOptions.scheduledFor = null;
+  }
+  renderHoursBanner();
+  applyOrderingState();
+}
+
+function scheduledLabel() {
+  return hoursState.opensAt ? formatWhen(hoursState.opensAt) : '';
+}
+
+function toggleScheduledOrder() {
+  orderOptions.scheduledFor = orderOptions.scheduledFor ? null : nextOpeningIso();
+  renderHoursBanner();
+  applyOrderingState();
+}
+
+function initHours() {
+  updateHours();
+  setInterval(updateHours, HOURS_CHECK_MS);
+}
+
+function updateCartUI() {
+  const { promotion } = renderTotals();
+  const lineDiscounts = promotion?.ok ? promotion.lineDiscounts : {};
+
+  replaceChildren(cartItemsEl, cart.map((item) => {
+    const modifierText = item.modifiers
+      .map((m) => (m.priceDelta ? `${modifierName(item.id, m)} (${formatPriceDelta(m.priceDelta)})` : modifierName(item.id, m)))
+      .join(' · ');
+    const lineTotal = toCents(item.price) * item.qty;
+    const lineDiscount = lineDiscounts[item.key] || 0;
+    return h('div', { className: 'cart-item' },
+      h('div', { className: 'cart-item-header' },
+        h('strong', null, lineName(item)),
+        lineDiscount
+          ? h('span', null, h('s', null, formatCurrency(lineTotal / 100)), formatCurrency((lineTotal - lineDiscount) / 100))
+          : h('span', null, formatCurrency(lineTotal / 100)),
+      ),
+      modifierText && h('p', { className: 'cart-item-mods' }, modifierText),
+      item.notes && h('p', { className: 'cart-item-notes' }, `“${item.notes}”`),
+      lineDiscount > 0 && h('p', { className: 'cart-item-promo' },
+        t('cart.lineDiscount', { amount: formatCurrency(lineDiscount / 100), code: promotion.code })),
+      h('div', { className: 'quantity' },
+        h('button', { 'aria-label': t('cart.removeOne'), dataset: { action: 'dec', key: item.key } }, '−'),
+        h('span', null, item.qty),
+        h('button', { 'aria-label': t('cart.addOne'), dataset: { action: 'inc', key: item.key } }, '+'),
+      ),
+    );
+  }));
+
+  cartCountEl.textContent = cart.reduce((sum, item) => sum + item.qty, 0);
+  checkoutBtn.disabled = cart.length === 0 || !canOrder();
+
+  if (!cart.length && !checkoutForm.hidden) {
+    showCartView('cart');
+  }
+}
+
+/**
+ * Switch the cart drawer between the cart, checkout form and confirmation.
+ */
+function showCartView(view) {
+  cartViewEl.hidden = view !== 'cart';
+  checkoutForm.hidden = view !== 'checkout';
+  confirmViewEl.hidden = view !== 'confirm';
+}
+
+/**
+ * Totals for the current cart and order options, in cents. The cart footer,
+ * checkout summary and order payload all read from here.
+ */
+function getCartTotals() {
+  const promotion = getCartPromotion();
+  return {
+    ...computeTotals({
+      lines: cart.map((item) => ({ unitPrice: toCents(item.price), quantity: item.qty })),
+      fulfilment: orderOptions.fulfilment,
+      distanceMiles: orderOptions.distanceMiles,
+      tipPercent: orderOptions.tipPercent,
+      discount: promotion?.ok ? promotion.discount : 0,
+    }),
+    promotion,
+  };
+}
+
+function renderTotals() {
+  const totals = getCartTotals();
+  const isDelivery = orderOptions.fulfilment === 'delivery';
+
+  cartSubtotalEl.textContent = formatCurrency(totals.subtotal / 100);
+  discountRowEl.hidden = !totals.discount;
+  document.getElementById('discountLabel').textContent = totals.promotion?.ok
+    ? t('cart.discountWithCode', { code: totals.promotion.code })
+    : t('cart.discount');
+  document.getElementById('cartDiscount').textContent = `−${formatCurrency(totals.discount / 100)}`;
+  renderPromoStatus(totals.promotion);
+
+  deliveryFeeRowEl.hidden = !isDelivery;
+  cartDeliveryFeeEl.textContent = isDelivery && totals.deliverable ? formatCurrency(totals.deliveryFee / 100) : '—';
+  cartTaxEl.textContent = formatCurrency(totals.tax / 100);
+  cartTipEl.textContent = formatCurrency(totals.tip / 100);
+  cartTotalEl.textContent = formatCurrency(totals.total / 100);
+  checkoutTotalEl.textContent = formatCurrency(totals.total / 100);
+  return totals;
+}
+
+/*
+ * Promo codes. The code stays on the cart once accepted, even if the cart
+ * later stops qualifying (e.g. drops under the minimum), so it applies again
+ * as soon as it can. Codes that don't exist or are out of date are refused
+ * outright.
+ */
+const PROMO_REFUSED = ['unknown', 'expired', 'not-started'];
+// The refusal on show, kept so it can be redrawn in another language
+let promoRefusal = null;
+
+function getCartPromotion() {
+  if (!orderOptions.promoCode) return null;
+  const lines = cart.map((item) => ({
+    key: item.key,
+    id: item.id,
+    category: menuItems.find((m) => m.id === item.id)?.category,
+    unitPrice: toCents(item.price),
+    quantity: item.qty,
+  }));
+  return evaluatePromotion(orderOptions.promoCode, lines, menuPromotions, { timeZone: SCHEDULE.timeZone });
+}
+
+function formatPromoDate(date) {
+  return new Intl.DateTimeFormat(getLocale(), { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' })
+    .format(new Date(`${date}T12:00:00Z`));
+}
+
+/**
+ * Customer-facing text for a rejected promotion.
+ */
+function promoRejectionMessage(result) {
+  const { reason, params } = result;
+  const categoryName = (id) => (localize(menuCategories.find((c) => c.id === id), 'name') || id).toLowerCase();
+  switch (reason) {
+    case 'empty':
+      return t('promo.empty');
+    case 'unknown':
+      return t('promo.unknown', { code: params.code });
+    case 'expired':
+      return t('promo.expired', { date: formatPromoDate(params.expires) });
+    case 'not-started':
+      return t('promo.notStarted', { date: formatPromoDate(params.starts) });
+    case 'min-subtotal':
+      return t('promo.minSubtotal', {
+        shortBy: formatCurrency(params.shortBy / 100),
+        minimum: formatCurrency(params.minSubtotal / 100),
+      });
+    case 'needs-item': {
+      const name = localize(menuItems.find((m) => m.id === params.itemId), 'name') || t('promo.thisDish');
+      return t('promo.needsItem', { quantity: params.quantity, name });
+    }
+    case 'needs-plate':
+      return t('promo.needsPlate', { category: categoryName(params.category) });
+    case 'needs-side':
+      return t('promo.needsSide', { category: categoryName(params.category) });
+    default:
+      return t('promo.unavailable');
+  }
+}
+
+function renderPromoStatus(promotion) {
+  const applyBtn = document.getElementById('applyPromo');
+  applyBtn.textContent = t(orderOptions.promoCode ? 'promo.remove' : 'promo.apply');
+  if (!promotion) {
+    if (promoStatusEl.classList.contains('refused')) {
+      promoStatusEl.textContent = promoRejectionMessage(promoRefusal);
+    } else {
+      promoStatusEl.hidden = true;
+    }
+    return;
+  }
+  promoStatusEl.classList.remove('refused');
+  promoStatusEl.classList.toggle('applied', promotion.ok);
+  const description = promotion.ok && localize(promotion.promo, 'description');
+  promoStatusEl.textContent = promotion.ok
+    ? `${t('promo.applied', { code: promotion.code })}${description ? ` · ${description}` : ''}`
+    : promoRejectionMessage(promotion);
+  promoStatusEl.hidden = false;
+}
+
+function applyPromoCode() {
+  const code = normalizeCode(promoCodeEl.value);
+  if (!code) {
+    showPromoRefusal({ reason: 'empty', params: {} });
+    return;
+  }
+
+  orderOptions.promoCode = code;
+  const promotion = getCartPromotion();
+  if (!promotion.ok && PROMO_REFUSED.includes(promotion.reason)) {
+    orderOptions.promoCode = null;
+    showPromoRefusal(promotion);
+    return;
+  }
+  promoCodeEl.value = code;
+  promoCodeEl.readOnly = true;
+  updateCartUI();
+  announce(promotion.ok ? `${t('promo.applied', { code })}.` : promoRejectionMessage(promotion));
+}
+
+function removePromoCode() {
+  orderOptions.promoCode = null;
+  promoCodeEl.value = '';
+  promoCodeEl.readOnly = false;
+  promoStatusEl.classList.remove('refused');
+  updateCartUI();
+}
+
+// Refusals aren't tied to the cart, so they stay until the code is edited
+function showPromoRefusal(result) {
+  promoRefusal = result;
+  promoStatusEl.textContent = promoRejectionMessage(result);
+  promoStatusEl.classList.remove('applied');
+  promoStatusEl.classList.add('refused');
+  promoStatusEl.hidden = false;
+  promoCodeEl.focus();
+}
+
+function getFulfilment() {
+  return cartViewEl.querySelector('input[name="fulfilment"]:checked')?.value || 'pickup';
+}
+
+function updateFulfilmentFields() {
+  orderOptions.fulfilment = getFulfilment();
+  const isDelivery = orderOptions.fulfilment === 'delivery';
+  deliveryFieldsEl.hidden = !isDelivery;
+  deliveryAddressEl.required = isDelivery;
+  if (isDelivery) quoteDelivery();
+  renderTotals();
+}
+
+function setTip(percent) {
+  orderOptions.tipPercent = PRICING.tipPercents.includes(percent) ? percent : 0;
+  tipOptionsEl.querySelectorAll('button[data-tip]').forEach((btn) => {
+    btn.setAttribute('aria-pressed', String(Number(btn.dataset.tip) === orderOptions.tipPercent));
+  });
+  renderTotals();
+}
+
+/*
+ * Delivery distance. Addresses are located by the ordering backend
+ * (GET /geocode?address=…), which can cache lookups and keep to its geocoding
+ * provider's usage policy; the browser never calls a geocoder itself. The
+ * kitchen's coordinates come from the owner through the `hh-kitchen-location`
+ * meta tag. Until both are set, delivery can't be priced and the cart asks
+ * for pickup.
+ */
+const HH_META_KITCHEN = document.querySelector('meta[name="hh-kitchen-location"]');
+const KITCHEN_LOCATION = parseLatLon(HH_META_KITCHEN && HH_META_KITCHEN.content);
+const DELIVERY_ENABLED = ORDERING_ENABLED && KITCHEN_LOCATION != null;
+
+function parseLatLon(value) {
+  const [lat, lon] = String(value || '').split(',').map(Number);
+  return Number.isFinite(lat) && Number.isFinite(lon) ? { lat, lon } : null;
+}
+
+/**
+ * Look up an address through the ordering backend. Resolves to { lat, lon },
+ * or null when nothing matched (a 404).
+ */
+async function geocodeAddress(address) {
+  const resp = await fetch(api(`/geocode?address=${encodeURIComponent(address)}`));
+  if (resp.status === 404) return null;
+  if (!resp.ok) throw new Error(`Geocoding failed with ${resp.status}`);
+  const data = await resp.json();
+  const coords = { lat: parseFloat(data.lat), lon: parseFloat(data.lon) };
+  return Number.isFinite(coords.lat) && Number.isFinite(coords.lon) ? coords : null;
+}
+
+// The message under the address, as a catalog key and its parameters
+let deliveryStatus = null;
+
+function setDeliveryStatus(key, params) {
+  deliveryStatus = key ? { key, params } : null;
+  renderDeliveryStatus();
+}
+
+function renderDeliveryStatus() {
+  deliveryStatusEl.textContent = deliveryStatus ? t(deliveryStatus.key, deliveryStatus.params) : '';
+}
+
+// The address most recently sent for a quote, and the lookup for it
+let deliveryQuote = { address: '', promise: Promise.resolve() };
+
+/**
+ * Measure the delivery address from the kitchen and refresh the totals. Asking
+ * again for the same address reuses the lookup already made.
+ */
+function quoteDelivery() {
+  const address = deliveryAddressEl.value.trim();
+  if (address === deliveryQuote.address) return deliveryQuote.promise;
+  deliveryQuote = { address, promise: measureDelivery(address) };
+  return deliveryQuote.promise;
+}
+
+async function measureDelivery(address) {
+  orderOptions.address = address;
+  orderOptions.distanceMiles = null;
+  renderTotals();
+
+  if (!DELIVERY_ENABLED) {
+    setDeliveryStatus('delivery.unavailable');
+    return;
+  }
+  if (!address) {
+    setDeliveryStatus(null);
+    return;
+  }
+
+  setDeliveryStatus('delivery.checking');
+  try {
+    const coords = await geocodeAddress(address);
+    // The address changed while we were looking this one up
+    if (deliveryQuote.address !== address) return;
+    if (!coords) {
+      setDeliveryStatus('delivery.notFound');
+      return;
+    }
+    const miles = distanceMiles(KITCHEN_LOCATION, coords);
+    orderOptions.distanceMiles = miles;
+    const rounded = Math.round(miles * 10) / 10;
+    setDeliveryStatus(computeDeliveryFee(miles) == null ? 'delivery.outOfRange' : 'delivery.distance', {
+      miles: formatNumber(rounded, { minimumFractionDigits: 1, maximumFractionDigits: 1 }),
+      maxMiles: formatNumber(PRICING.delivery.maxMiles),
+    });
+  } catch (err) {
+    if (deliveryQuote.address !== address) return;
+    console.error('Geocoding failed', err);
+    // Forget this lookup so the next attempt tries again
+    deliveryQuote.address = '';
+    setDeliveryStatus('delivery.lookupFailed');
+  } finally {
+    renderTotals();
+  }
+}
+
+function showCheckoutError(message) {
+  checkoutErrorEl.textContent = message;
+  checkoutErrorEl.hidden = false;
+}
+
+function clearCheckoutError() {
+  checkoutErrorEl.textContent = '';
+  checkoutErrorEl.hidden = true;
+}
+
+/**
+ * Read and validate the checkout form. Returns the customer details, or null
+ * after showing an error and focusing the first invalid field.
+ */
+function readCheckoutDetails() {
+  const nameEl = document.getElementById('customerName');
+  const phoneEl = document.getElementById('customerPhone');
+
+  const name = nameEl.value.trim();
+  const phone = phoneEl.value.trim();
+  const { fulfilment, address, scheduledFor } = orderOptions;
+
+  if (!name) {
+    showCheckoutError(t('checkout.missingName'));
+    nameEl.focus();
+    return null;
+  }
+  if (phone.replace(/\D/g, '').length < 10) {
+    showCheckoutError(t('checkout.missingPhone'));
+    phoneEl.focus();
+    return null;
+  }
+  if (fulfilment === 'delivery' && !getCartTotals().deliverable) {
+    // The address lives in the cart view, next to the fee it produces
+    showCartView('cart');
+    deliveryAddressEl.focus();
+    return null;
+  }
+
+  return { name, phone, fulfilment, address, scheduledFor };
+}
+
+/**
+ * Build the order payload sent to the backend. All money is in cents so the
+ * server never has to deal with floating point prices.
+ */
+function buildOrderPayload(details) {
+  const totals = getCartTotals();
+  const lineDiscounts = totals.promotion?.ok ? totals.promotion.lineDiscounts : {};
+  const items = cart.map((item) => {
+    const unitPrice = toCents(item.price);
+    return {
+      id: item.id,
+      name: item.name,
+      quantity: item.qty,
+      modifiers: item.modifiers.map((m) => ({
+        group: m.groupId,
+        option: m.optionId,
+        name: m.name,
+        priceDelta: toCents(m.priceDelta),
+      })),
+      notes: item.notes || null,
+      unitPrice,
+      lineTotal: unitPrice * item.qty,
+      discount: lineDiscounts[item.key] || 0,
+    };
+  });
+  const isDelivery = details.fulfilment === 'delivery';
+
+  return {
+    // Lets the backend drop a repeat of an order sent again from the offline queue
+    clientOrderId: createOrderId(),
+    name: details.name,
+    phone: details.phone,
+    fulfilment: details.fulfilment,
+    address: isDelivery ? { line1: details.address } : null,
+    deliveryMiles: isDelivery ? Math.round(orderOptions.distanceMiles * 10) / 10 : null,
+    scheduledFor: details.scheduledFor,
+    // Lets the backend text the customer in the language they ordered in
+    language: getLanguage(),
+    menuVersion,
+    currency: 'usd',
+    items,
+    subtotal: totals.subtotal,
+    promoCode: totals.promotion?.ok ? totals.promotion.code : null,
+    discount: totals.discount,
+    deliveryFee: totals.deliveryFee,
+    tax: totals.tax,
+    tip: totals.tip,
+    total: totals.total,
+  };
+}
+
+async function submitCheckout() {
+  clearCheckoutError();
+  if (!cart.length) {
+    showCartView('cart');
+    return;
+  }
+  if (!canOrder()) {
+    showCheckoutError(t('checkout.justClosed'));
+    return;
+  }
+  const details = readCheckoutDetails();
+  if (!details) return;
+
+  const payload = buildOrderPayload(details);
+  if (isOffline() || !ORDERING_ENABLED) {
+    queueOrder(details, payload);
+    return;
+  }
+
+  placeOrderBtn.disabled = true;
+  placeOrderBtn.textContent = t('checkout.placing');
+
+  try {
+    const data = await sendOrder(payload);
+    clearCartAfterOrder();
+    showConfirmation(details, payload, data);
+  } catch (err) {
+    // The connection dropped between pressing the button and the request
+    if (err instanceof TypeError && isOffline()) {
+      queueOrder(details, payload);
+      return;
+    }
+    console.error('Order failed', err);
+    const message = err instanceof TypeError
+      ? t('checkout.unreachable')
+      : err.message;
+    showCheckoutError(message);
+  } finally {
+    placeOrderBtn.disabled = false;
+    placeOrderBtn.textContent = t('checkout.placeOrder');
+  }
+}
+
+/**
+ * Show the confirmation for an order the backend has accepted and start
+ * tracking it. `order` is the backend's response to POST /orders.
+ */
+function showConfirmation(details, payload, order) {
+  trackedOrder = createOrderRecord(details, payload, order);
+  saveLastOrder(trackedOrder);
+  renderConfirmation(trackedOrder);
+  renderTrackButton();
+  scheduleStatusPoll();
+
+  showCartView('confirm');
+  document.getElementById('confirmDone').focus();
+}
+
+function clearCartAfterOrder() {
+  cart.length = 0;
+  orderOptions.scheduledFor = null;
+  orderOptions.promoCode = null;
+  promoCodeEl.value = '';
+  promoCodeEl.readOnly = false;
+  updateHours();
+  saveCart();
+  updateCartUI();
+  checkoutForm.reset();
+}
+
+function createOrderId() {
+  if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+    return window.crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * POST an order payload. Resolves to the backend's response body; rejects
+ * with a TypeError when the request never got through and with an Error
+ * carrying the backend's message when it was refused.
+ */
+async function sendOrder(payload) {
+  const resp = await fetch(api('/orders'), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload),
+  });
+  const data = await resp.json().catch(() => ({}));
+  if (!resp.ok || data.ok === false) {
+    throw new Error(data.error || data.message || t('checkout.failed'));
+  }
+  return data;
+}
+
+/*
+ * Order tracking. The last order placed from this browser is kept in
+ * localStorage so its receipt and status survive a reload, and the backend
+ * is polled for its status until it's completed:
+ *
+ *   GET /orders/:orderId/status
+ *   → { status: "preparing", updatedAt: "…", estimatedReadyAt: "…" }
+ *
+ * tools/mock-server.js serves this endpoint for local testing.
+ */
+const LAST_ORDER_KEY = 'hhLastOrder';
+const ORDER_TRACKING = {
+  pollMs: 15000,
+  // Used for the estimate when the backend doesn't send estimatedReadyAt
+  prepMinutes: { pickup: 25, delivery: 45 },
+  // Forget the last order this long after it was placed
+  keepHours: 12,
+};
+const ORDER_STATUSES = ['received', 'preparing', 'ready', 'completed'];
+const ORDER_STATUS_LABELS = {
+  pickup: { received: 'status.received', preparing: 'status.preparing', ready: 'status.readyPickup', completed: 'status.completedPickup' },
+  delivery: { received: 'status.received', preparing: 'status.preparing', ready: 'status.readyDelivery', completed: 'status.completedDelivery' },
+};
+let trackedOrder = null;
+let statusPollTimer = null;
+
+function statusLabel(record, status = record.status) {
+  return t((ORDER_STATUS_LABELS[record.fulfilment] || ORDER_STATUS_LABELS.pickup)[status]);
+}
+
+function estimateReadyAt(details) {
+  const start = details.scheduledFor ? Date.parse(details.scheduledFor) : Date.now();
+  const minutes = ORDER_TRACKING.prepMinutes[details.fulfilment] || ORDER_TRACKING.prepMinutes.pickup;
+  return new Date(start + minutes * 60000).toISOString();
+}
+
+/**
+ * Everything the confirmation needs to be redrawn after a reload: who it's
+ * for, the receipt as sent to the backend, the estimate and the status.
+ */
+function createOrderRecord(details, payload, order) {
+  const placedAt = new Date().toISOString();
+  const status = ORDER_STATUSES.includes(order.status) ? order.status : 'received';
+  return {
+    orderId: order.orderId || order.id || null,
+    orderNumber: order.orderNumber || order.orderId || order.id || '',
+    placedAt,
+    name: details.name,
+    fulfilment: details.fulfilment,
+    address: details.address || null,
+    scheduledFor: details.scheduledFor || null,
+    estimatedReadyAt: order.estimatedReadyAt || estimateReadyAt(details),
+    status,
+    statusTimes: { [status]: placedAt },
+    items: payload.items.map((item) => ({
+      id: item.id,
+      name: item.name,
+      quantity: item.quantity,
+      modifiers: item.modifiers.map((m) => ({ groupId: m.group, optionId: m.option, name: m.name })),
+      notes: item.notes,
+      lineTotal: item.lineTotal,
+      discount: item.discount,
+    })),
+    totals: {
+      subtotal: payload.subtotal,
+      promoCode: payload.promoCode,
+      discount: payload.discount,
+      deliveryFee: payload.deliveryFee,
+      tax: payload.tax,
+      tip: payload.tip,
+      total: payload.total,
+    },
+  };
+}
+
+function saveLastOrder(record) {
+  try {
+    localStorage.setItem(LAST_ORDER_KEY, JSON.stringify(record));
+  } catch (err) {
+    console.warn('Could not save the last order', err);
+  }
+}
+
+function readLastOrder() {
+  try {
+    const record = JSON.parse(localStorage.getItem(LAST_ORDER_KEY) || 'null');
+    if (!record || !ORDER_STATUSES.includes(record.status) || !Array.isArray(record.items) || !record.statusTimes) {
+      return null;
+    }
+    const age = Date.now() - Date.parse(record.placedAt);
+    if (!(age < ORDER_TRACKING.keepHours * 3600000)) {
+      localStorage.removeItem(LAST_ORDER_KEY);
+      return null;
+    }
+    return record;
+  } catch (err) {
+    console.warn('Could not read the last order', err);
+    return null;
+  }
+}
+
+function renderConfirmation(record) {
+  const when = record.scheduledFor ? formatWhen(momentAt(new Date(record.scheduledFor))) : '';
+  const isDelivery = record.fulfilment === 'delivery';
+  let message;
+  if (when) {
+    message = t(isDelivery ? 'confirm.scheduledDelivery' : 'confirm.scheduledPickup', { when, address: record.address });
+  } else {
+    message = t(isDelivery ? 'confirm.delivery' : 'confirm.pickup', { address: record.address });
+  }
+  document.getElementById('confirmTitle').textContent = t('confirm.thanks', { name: record.name });
+  document.getElementById('confirmMessage').textContent = message;
+  document.getElementById('confirmOrderNumber').textContent = record.orderNumber
+    ? `#${record.orderNumber}`
+    : t('confirm.numberPending');
+
+  renderOrderStatus(record);
+  renderReceipt(record);
+}
+
+function renderOrderStatus(record) {
+  const etaEl = document.getElementById('confirmEta');
+  const timelineEl = document.getElementById('orderTimeline');
+  const reached = ORDER_STATUSES.indexOf(record.status);
+
+  // Once it's ready the estimate has done its job
+  etaEl.hidden = reached >= ORDER_STATUSES.indexOf('ready');
+  if (!etaEl.hidden) {
+    const eta = formatWhen(momentAt(new Date(record.estimatedReadyAt)));
+    etaEl.textContent = t(record.fulfilment === 'delivery' ? 'confirm.arriving' : 'confirm.readyAround', { time: eta });
+  }
+
+  timelineEl.hidden = false;
+  replaceChildren(timelineEl, ORDER_STATUSES.map((status, index) => {
+    const at = index <= reached && record.statusTimes[status];
+    const state = index < reached ? 'done' : index === reached ? 'current' : 'upcoming';
+    return h('li', { className: `timeline-step ${state}`, 'aria-current': index === reached && 'step' },
+      h('span', { className: 'timeline-label' }, statusLabel(record, status)),
+      at && h('span', { className: 'micro' }, formatWhen(momentAt(new Date(at)), { withDay: false }))
+    );
+  }));
+}
+
+function renderReceipt(record) {
+  const { totals } = record;
+  const row = (label, cents, className = 'cart-row') => h('div', { className }, h('span', null, label), h('span', null, cents));
+
+  replaceChildren(document.getElementById('receiptItems'), record.items.map((item) => h('li', { className: 'receipt-item' },
+    h('span', null,
+      `${item.quantity} × ${lineName(item)}`,
+      item.modifiers.length > 0 && h('span', { className: 'micro' }, item.modifiers.map((m) => modifierName(item.id, m)).join(', ')),
+      item.notes && h('span', { className: 'micro' }, `“${item.notes}”`)
+    ),
+    h('span', null, formatCurrency((item.lineTotal - item.discount) / 100))
+  )));
+
+  replaceChildren(document.getElementById('receiptTotals'),
+    row(t('cart.subtotal'), formatCurrency(totals.subtotal / 100)),
+    totals.discount > 0 && row(
+      t('cart.discountWithCode', { code: totals.promoCode }),
+      `−${formatCurrency(totals.discount / 100)}`,
+      'cart-row discount-row',
+    ),
+    record.fulfilment === 'delivery' && row(t('cart.deliveryFee'), formatCurrency(totals.deliveryFee / 100)),
+    row(t('cart.tax'), formatCurrency(totals.tax / 100)),
+    row(t('cart.tip'), formatCurrency(totals.tip / 100)),
+    h('div', { className: 'cart-row cart-total' },
+      h('strong', null, t('cart.total')),
+      h('strong', null, formatCurrency(totals.total / 100)),
+    )
+  );
+  document.getElementById('confirmReceipt').hidden = false;
+}
+
+/**
+ * Hide the receipt and timeline when the confirm view is used for something
+ * other than a placed order (an order waiting to be sent, or one refused).
+ */
+function clearOrderDetails() {
+  ['confirmEta', 'orderTimeline', 'confirmReceipt'].forEach((id) => {
+    document.getElementById(id).hidden = true;
+  });
+}
+
+function orderLabel(record) {
+  return record.orderNumber ? t('order.number', { number: record.orderNumber }) : t('order.yours');
+}
+
+function renderTrackButton() {
+  const active = trackedOrder && trackedOrder.status !== 'completed';
+  trackOrderBtn.hidden = !active;
+  if (active) {
+    trackOrderBtn.textContent = `${orderLabel(trackedOrder)} · ${statusLabel(trackedOrder)}`;
+  }
+}
+
+function showTrackedOrder() {
+  if (!trackedOrder) return;
+  renderConfirmation(trackedOrder);
+  showCartView('confirm');
+  openCart();
+  document.getElementById('confirmDone').focus();
+}
+
+async function fetchOrderStatus(orderId) {
+  const resp = await fetch(api(`/orders/${encodeURIComponent(orderId)}/status`), { cache: 'no-store' });
+  const data = await resp.json().catch(() => ({}));
+  if (!resp.ok) {
+    const err = new Error(data.error || `Order status request failed (${resp.status})`);
+    err.status = resp.status;
+    throw err;
+  }
+  return data;
+}
+
+function scheduleStatusPoll(delay = ORDER_TRACKING.pollMs) {
+  clearTimeout(statusPollTimer);
+  statusPollTimer = null;
+  if (!trackedOrder || !trackedOrder.orderId || trackedOrder.status === 'completed') return;
+  statusPollTimer = setTimeout(pollOrderStatus, delay);
+}
+
+async function pollOrderStatus() {
+  const record = trackedOrder;
+  // Skip the request while the tab is in the background or offline; the
+  // visibilitychange and online handlers poll again straight away
+  if (document.visibilityState === 'hidden' || isOffline()) {
+    scheduleStatusPoll();
+    return;
+  }
+
+  try {
+    const data = await fetchOrderStatus(record.orderId);
+    if (record !== trackedOrder) return;
+    if (data.estimatedReadyAt) record.estimatedReadyAt = data.estimatedReadyAt;
+    const changed = ORDER_STATUSES.includes(data.status) && data.status !== record.status;
+    if (changed) {
+      record.status = data.status;
+      record.statusTimes = { ...record.statusTimes, [data.status]: data.updatedAt || new Date().toISOString() };
+      announce(t('order.statusUpdate', { order: orderLabel(record), status: statusLabel(record) }));
+    }
+    saveLastOrder(record);
+    if (!confirmViewEl.hidden) renderOrderStatus(record);
+    renderTrackButton();
+  } catch (err) {
+    // The backend has never heard of it (e.g. the mock server restarted)
+    if (err.status === 404) {
+      console.warn('Order is no longer known to the backend', err);
+      return;
+    }
+    console.warn('Could not refresh the order status', err);
+  }
+  scheduleStatusPoll();
+}
+
+function initOrderTracking() {
+  trackedOrder = readLastOrder();
+  renderTrackButton();
+  scheduleStatusPoll(0);
+
+  trackOrderBtn.addEventListener('click', showTrackedOrder);
+  const pollNow = () => {
+    if (document.visibilityState === 'visible' && statusPollTimer) scheduleStatusPoll(0);
+  };
+  document.addEventListener('visibilitychange', pollNow);
+  window.addEventListener('online', pollNow);
+}
+
+/*
+ * Offline support. sw.js keeps the page and menu available without a
+ * connection. Orders placed while offline are kept in localStorage and sent
+ * once the browser says it's back online, oldest first. The same queue holds
+ * orders while online ordering is off (no hh-api-base); they go out on the
+ * first load after a backend is set.
+ */
+const ORDER_QUEUE_KEY = 'hhOrderQueue';
+let flushingOrderQueue = false;
+
+function isOffline() {
+  return navigator.onLine === false;
+}
+
+function updateOnlineState() {
+  offlineBannerEl.hidden = !isOffline();
+}
+
+function readOrderQueue() {
+  try {
+    const queue = JSON.parse(localStorage.getItem(ORDER_QUEUE_KEY) || '[]');
+    return Array.isArray(queue) ? queue.filter((entry) => entry?.payload?.clientOrderId) : [];
+  } catch (err) {
+    console.warn('Could not read queued orders', err);
+    return [];
+  }
+}
+
+function writeOrderQueue(queue) {
+  try {
+    if (queue.length) {
+      localStorage.setItem(ORDER_QUEUE_KEY, JSON.stringify(queue));
+    } else {
+      localStorage.removeItem(ORDER_QUEUE_KEY);
+    }
+  } catch (err) {
+    console.warn('Could not save queued orders', err);
+  }
+}
+
+/**
+ * Hold an order until we're back online (or online ordering is switched on)
+ * and tell the customer so. The cart is cleared because the order now lives
+ * in the queue.
+ */
+function queueOrder(details, payload) {
+  writeOrderQueue([...readOrderQueue(), { details, payload, queuedAt: new Date().toISOString() }]);
+  clearCartAfterOrder();
+  updateOnlineState();
+
+  const waitingOnBackend = !ORDERING_ENABLED && !isOffline();
+  document.getElementById('confirmTitle').textContent = t(waitingOnBackend ? 'ordering.offTitle' : 'offline.title');
+  document.getElementById('confirmMessage').textContent = t(waitingOnBackend ? 'ordering.offSaved' : 'offline.saved');
+  document.getElementById('confirmOrderNumber').textContent = t('offline.waiting');
+  clearOrderDetails();
+  showCartView('confirm');
+  document.getElementById('confirmDone').focus();
+  announce(t(waitingOnBackend ? 'ordering.offSaved' : 'offline.announce'));
+}
+
+/**
+ * Put a refused order's dishes back in the cart so the customer can fix and
+ * resend it. Dishes that have since sold out or changed are skipped.
+ */
+function returnOrderToCart(payload) {
+  (payload.items || []).forEach((line) => {
+    const item = menuItems.find((m) => m.id === line.id);
+    if (!item || !item.available) return;
+    addCartLine(item, line.modifiers || [], line.notes, line.quantity);
+  });
+  saveCart();
+  updateCartUI();
+}
+
+/**
+ * Send any orders queued while offline. Stops at the first network failure
+ * and leaves the rest for the next time we come back online.
+ */
+async function flushOrderQueue() {
+  if (flushingOrderQueue || !ORDERING_ENABLED || isOffline() || !menuItems.length) return;
+  flushingOrderQueue = true;
+
+  try {
+    let queue = readOrderQueue();
+    while (queue.length) {
+      const [entry] = queue;
+      try {
+        const data = await sendOrder(entry.payload);
+        showConfirmation(entry.details, entry.payload, data);
+        announce(t('offline.sent'));
+      } catch (err) {
+        if (err instanceof TypeError) break;
+        console.error('Queued order failed', err);
+        returnOrderToCart(entry.payload);
+        document.getElementById('confirmTitle').textContent = t('offline.failedTitle');
+        document.getElementById('confirmMessage').textContent = t('offline.failed', { error: err.message });
+        document.getElementById('confirmOrderNumber').textContent = t('offline.notSent');
+        clearOrderDetails();
+        showCartView('confirm');
+      }
+      openCart();
+      // Re-read in case another tab changed the queue while we were sending
+      queue = readOrderQueue().filter((e) => e.payload.clientOrderId !== entry.payload.clientOrderId);
+      writeOrderQueue(queue);
+    }
+  } finally {
+    flushingOrderQueue = false;
+  }
+}
+
+function initOffline() {
+  updateOnlineState();
+  document.getElementById('orderingOffNote').hidden = ORDERING_ENABLED;
+  window.addEventListener('online', () => {
+    updateOnlineState();
+    flushOrderQueue();
+  });
+  window.addEventListener('offline', updateOnlineState);
+
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.register('sw.js').catch((err) => {
+      console.warn('Service worker registration failed', err);
+    });
+  }
+}
+
+/**
+ * Move from the cart to the checkout form once the order can be priced. For
+ * delivery that means the address has been located inside the delivery area.
+ */
+async function startCheckout() {
+  if (!cart.length || !canOrder()) return;
+  const isDelivery = orderOptions.fulfilment === 'delivery';
+  if (isDelivery) {
+    if (!deliveryAddressEl.value.trim()) {
+      setDeliveryStatus('delivery.missingAddress');
+      deliveryAddressEl.focus();
+      return;
+    }
+    await quoteDelivery();
+    if (!getCartTotals().deliverable) {
+      deliveryAddressEl.focus();
+      return;
+    }
+  }
+
+  clearCheckoutError();
+  renderTotals();
+  renderCheckoutSummary();
+  showCartView('checkout');
+  document.getElementById('customerName').focus();
+}
+
+function renderCheckoutSummary() {
+  const fulfilmentText = orderOptions.fulfilment === 'delivery'
+    ? t('checkout.deliveryTo', { address: orderOptions.address })
+    : t('checkout.pickupFrom');
+  const when = orderOptions.scheduledFor ? scheduledLabel() : '';
+  document.getElementById('checkoutFulfilment').textContent = when
+    ? t('checkout.scheduledFor', { fulfilment: fulfilmentText, when })
+    : fulfilmentText;
+}
+
+let announceTimer = null;
+
+/**
+ * Read a short message through the polite live region. The region is cleared
+ * first so the same message twice in a row ("Added Side of Plantain.") is
+ * still announced.
+ */
+function announce(message) {
+  clearTimeout(announceTimer);
+  cartAnnouncerEl.textContent = '';
+  announceTimer = setTimeout(() => {
+    cartAnnouncerEl.textContent = message;
+  }, 100);
+}
+
+function announceCart(message) {
+  const { subtotal } = getCartTotals();
+  announce(`${message} ${cart.length ? t('cart.subtotalIs', { amount: formatCurrency(subtotal / 100) }) : t('cart.empty')}`);
+}
+
+const FOCUSABLE_SELECTOR = [
+  'a[href]',
+  'button:not([disabled])',
+  'input:not([disabled])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  '[tabindex]:not([tabindex="-1"])',
+].join(', ');
+
+// Where focus goes back to when the drawer closes
+let cartReturnFocus = null;
+
+function isCartOpen() {
+  return cartPanel.classList.contains('open');
+}
+
+function cartFocusables() {
+  return [...cartPanel.querySelectorAll(FOCUSABLE_SELECTOR)]
+    .filter((el) => !el.closest('[hidden]'));
+}
+
+function openCart() {
+  if (!isCartOpen()) {
+    const active = document.activeElement;
+    // Focus may still be inside the item dialog that just closed
+    cartReturnFocus = active && active !== document.body && !itemDialog.contains(active)
+      ? active
+      : document.getElementById('viewCart');
+  }
+  cartPanel.classList.add('open');
+  cartScrim.classList.add('visible');
+  cartPanel.setAttribute('aria-hidden', 'false');
+  cartPanel.removeAttribute('inert');
+  document.getElementById('closeCart').focus();
+}
+
+function closeCart() {
+  const wasOpen = isCartOpen();
+  cartPanel.classList.remove('open');
+  cartScrim.classList.remove('visible');
+  cartPanel.setAttribute('aria-hidden', 'true');
+  cartPanel.setAttribute('inert', '');
+  if (!confirmViewEl.hidden) {
+    showCartView('cart');
+  }
+  if (wasOpen && cartReturnFocus && document.contains(cartReturnFocus)) {
+    cartReturnFocus.focus();
+  }
+  cartReturnFocus = null;
+}
+
+/**
+ * Keep keyboard focus inside the open drawer and close it on Escape.
+ */
+function handleCartKeydown(evt) {
+  if (!isCartOpen() || itemDialog.open) return;
+
+  if (evt.key === 'Escape') {
+    evt.preventDefault();
+    closeCart();
+    return;
+  }
+  if (evt.key !== 'Tab') return;
+
+  const focusables = cartFocusables();
+  if (!focusables.length) return;
+  const first = focusables[0];
+  const last = focusables[focusables.length - 1];
+  const inside = cartPanel.contains(document.activeElement);
+
+  if (evt.shiftKey && (document.activeElement === first || !inside)) {
+    evt.preventDefault();
+    last.focus();
+  } else if (!evt.shiftKey && (document.activeElement === last || !inside)) {
+    evt.preventDefault();
+    first.focus();
+  }
+}
+
+/*
+ * Language. Static markup is translated from its data-i18n attributes; the
+ * rest is drawn by the render functions, so switching re-runs them.
+ */
+function renderLanguageSwitch() {
+  languageSwitchEl.querySelectorAll('button[data-lang]').forEach((btn) => {
+    btn.setAttribute('aria-pressed', String(btn.dataset.lang === getLanguage()));
+  });
+}
+
+function applyLanguage() {
+  translatePage();
+  renderLanguageSwitch();
+  if (menuItems.length) {
+    renderTagFilters();
+    renderMenu();
+    renderMostOrdered();
+    renderHero();
+    updateCartUI();
+  }
+  renderHoursBanner();
+  renderDeliveryStatus();
+  renderTrackButton();
+  if (!checkoutForm.hidden) renderCheckoutSummary();
+  if (!confirmViewEl.hidden && trackedOrder && !document.getElementById('confirmReceipt').hidden) {
+    renderConfirmation(trackedOrder);
+  }
+}
+
+function wireEvents() {
+  menuGrid.addEventListener('click', (evt) => {
+    if (evt.target.closest('[data-action="retry-menu"]')) {
+      initMenu();
+      return;
+    }
+    if (evt.target.closest('[data-action="clear-filters"]')) {
+      clearFilters();
+      return;
+    }
+    const btn = evt.target.closest('button[data-id]');
+    if (!btn) return;
+    addToCart(btn.dataset.id);
+  });
+
+  menuSearchEl.addEventListener('input', () => {
+    menuFilters.query = menuSearchEl.value;
+    applyFilters();
+  });
+
+  tagFiltersEl.addEventListener('click', (evt) => {
+    const chip = evt.target.closest('button[data-tag]');
+    if (!chip) return;
+    const { tag } = chip.dataset;
+    if (menuFilters.tags.has(tag)) {
+      menuFilters.tags.delete(tag);
+    } else {
+      menuFilters.tags.add(tag);
+    }
+    applyFilters();
+  });
+
+  categoryTabsEl.addEventListener('click', (evt) => {
+    const tab = evt.target.closest('button[data-category]');
+    if (!tab) return;
+    const section = document.getElementById(`menu-${tab.dataset.category}`);
+    if (!section) return;
+    setActiveCategoryTab(tab.dataset.category);
+    section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  });
+
+  // Someone followed a shared filter link while the page was already open
+  window.addEventListener('hashchange', () => {
+    if (!menuItems.length) return;
+    readFiltersFromHash();
+    syncFilterControls();
+    renderMenu();
+  });
+
+  // The whole hero card is clickable; its Add button is the keyboard route
+  document.getElementById('heroMedia').addEventListener('click', (evt) => {
+    const card = evt.target.closest('[data-id]');
+    if (!card) return;
+    addToCart(card.dataset.id);
+  });
+
+  mostOrderedGrid.addEventListener('click', (evt) => {
+    const btn = evt.target.closest('button[data-id]');
+    if (!btn) return;
+    addToCart(btn.dataset.id);
+  });
+
+  cartItemsEl.addEventListener('click', (evt) => {
+    const btn = evt.target.closest('button[data-key]');
+    if (!btn) return;
+    const { action, key } = btn.dataset;
+    changeQty(key, action === 'inc' ? 1 : -1);
+
+    // Rows are rebuilt on every change; put focus back on the same control,
+    // or on the next line if this one was removed
+    const buttons = [...cartItemsEl.querySelectorAll('button[data-key]')];
+    const same = buttons.find((b) => b.dataset.key === key && b.dataset.action === action);
+    (same || buttons[0] || document.getElementById('closeCart')).focus();
+  });
+
+  itemDialogForm.addEventListener('change', updateItemDialogPrice);
+  itemDialogForm.addEventListener('submit', (evt) => {
+    evt.preventDefault();
+    submitItemDialog();
+  });
+  itemDialogForm.addEventListener('click', (evt) => {
+    if (evt.target.closest('[data-action="cancel"]')) closeItemDialog();
+  });
+  // Escape closes the native dialog; make sure our state follows
+  itemDialog.addEventListener('close', () => {
+    dialogItem = null;
+  });
+
+  languageSwitchEl.addEventListener('click', (evt) => {
+    const btn = evt.target.closest('button[data-lang]');
+    if (!btn || btn.dataset.lang === getLanguage()) return;
+    setLanguage(btn.dataset.lang);
+    applyLanguage();
+  });
+
+  document.getElementById('viewCart').addEventListener('click', openCart);
+  document.getElementById('closeCart').addEventListener('click', closeCart);
+  cartScrim.addEventListener('click', closeCart);
+  document.addEventListener('keydown', handleCartKeydown);
+  scheduleOrderBtn.addEventListener('click', toggleScheduledOrder);
+
+  // Keep every open tab on the same cart. `key` is null when storage is cleared.
+  window.addEventListener('storage', (evt) => {
+    if (evt.key !== CART_STORAGE_KEY && evt.key !== null) return;
+    if (!menuItems.length) return;
+    restoreCart();
+    updateCartUI();
+  });
+
+  checkoutBtn.addEventListener('click', startCheckout);
+
+  document.getElementById('backToCart').addEventListener('click', () => {
+    showCartView('cart');
+    checkoutBtn.focus();
+  });
+  document.getElementById('confirmDone').addEventListener('click', () => {
+    closeCart();
+    showCartView('cart');
+  });
+
+  cartViewEl.querySelectorAll('input[name="fulfilment"]').forEach((radio) => {
+    radio.addEventListener('change', updateFulfilmentFields);
+  });
+  deliveryAddressEl.addEventListener('change', quoteDelivery);
+
+  document.getElementById('applyPromo').addEventListener('click', () => {
+    if (orderOptions.promoCode) {
+      removePromoCode();
+    } else {
+      applyPromoCode();
+    }
+  });
+  promoCodeEl.addEventListener('keydown', (evt) => {
+    if (evt.key !== 'Enter' || orderOptions.promoCode) return;
+    evt.preventDefault();
+    applyPromoCode();
+  });
+  promoCodeEl.addEventListener('input', () => {
+    if (promoStatusEl.classList.contains('refused')) {
+      promoStatusEl.classList.remove('refused');
+      promoStatusEl.hidden = true;
+    }
+  });
+
+  tipOptionsEl.addEventListener('click', (evt) => {
+    const btn = evt.target.closest('button[data-tip]');
+    if (!btn) return;
+    setTip(Number(btn.dataset.tip));
+  });
+
+  checkoutForm.addEventListener('submit', (evt) => {
+    evt.preventDefault();
+    submitCheckout();
+  });
+}
+
+function initSplash() {
+  setTimeout(() => {
+    splashEl.classList.add('hide');
+    document.body.classList.remove('show-splash');
+  }, 1200);
+}
+
+function init() {
+  translatePage();
+  renderLanguageSwitch();
+  wireEvents();
+  initSplash();
+  initHours();
+  initOffline();
+  initOrderTracking();
+  initMenu();
+  initMostOrdered();
+}
+
 document.addEventListener('DOMContentLoaded', init);
\ No newline at end of file
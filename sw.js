@@ -0,0 +1,115 @@
+/*
+ * Holy Hands Kitchen – service worker
+ *
+ * Precaches the page, its scripts and the food photos so the menu opens and
+ * renders on a flaky or missing connection. Bump CACHE_VERSION whenever the
+ * precache list changes so old caches are cleared out.
+ *
+ * - Page loads: network first, falling back to the cached index.html.
+ * - menu.json, order-stats.json and the image manifest: network first so
+ *   they stay current, falling back to the last copy we saw.
+ * - Scripts and the stylesheet: network first as well. The page and its
+ *   scripts have to come from the same deploy; serving cached script.js
+ *   next to a fresh index.html can leave the page calling code it doesn't
+ *   have yet.
+ * - Everything else on this origin (photos, icons): served from the cache
+ *   straight away and refreshed in the background, so edits show up on the
+ *   next visit.
+ * - Other origins (the ordering API, fonts) and order and address lookups
+ *   on this origin are left to the browser; the page handles those failures
+ *   itself.
+ */
+const CACHE_VERSION = 'hh-v7';
+
+const PRECACHE_URLS = [
+  './',
+  'index.html',
+  'style.css',
+  'script.js',
+  'dom.js',
+  'i18n.js',
+  'totals.js',
+  'hours.js',
+  'discounts.js',
+  'menu-bundle.js',
+  'menu.json',
+  'manifest.webmanifest',
+  'holyhandslogo.png',
+  'food/shrimp.jpg',
+  'food/two_beef_kebab.jpg',
+  'food/two_chicken_kebabs_over_jollof_rice.jpg',
+];
+
+// img/manifest.json only exists after tools/build-images.js has run, and
+// order-stats.json only where a deploy writes it, so they are fetched (and
+// cached) on demand rather than precached
+const NETWORK_FIRST = ['menu.json', 'order-stats.json', 'img/manifest.json'];
+
+const APP_SHELL_CODE = /\.(?:js|css)$/;
+
+// An order's status or an address lookup must never come from a cache (e.g.
+// when the API is served from this origin by tools/mock-server.js)
+const BYPASS = /\/(?:orders|geocode)(\/|$)/;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_VERSION)
+      .then((cache) => cache.addAll(PRECACHE_URLS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys.filter((key) => key !== CACHE_VERSION).map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+async function networkFirst(request, fallbackUrl) {
+  const cache = await caches.open(CACHE_VERSION);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+  } catch (err) {
+    const cached = await cache.match(request, { ignoreSearch: true })
+      || (fallbackUrl && await cache.match(fallbackUrl));
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+async function staleWhileRevalidate(event) {
+  const { request } = event;
+  const cache = await caches.open(CACHE_VERSION);
+  const cached = await cache.match(request);
+  const refresh = fetch(request).then((response) => {
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+  });
+  if (cached) {
+    event.waitUntil(refresh.catch(() => {}));
+    return cached;
+  }
+  return refresh;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin || BYPASS.test(url.pathname)) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request, 'index.html'));
+    return;
+  }
+  if (NETWORK_FIRST.some((path) => url.pathname.endsWith(`/${path}`)) || APP_SHELL_CODE.test(url.pathname)) {
+    event.respondWith(networkFirst(request));
+    return;
+  }
+  event.respondWith(staleWhileRevalidate(event));
+});
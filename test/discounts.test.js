@@ -0,0 +1,139 @@
+// Run with `node --test` from the repo root
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+// discounts.js is a browser script that sets window.HH_DISCOUNTS
+function loadDiscounts() {
+  const window = {};
+  const source = fs.readFileSync(path.join(__dirname, '..', 'discounts.js'), 'utf8');
+  new Function('window', source)(window);
+  return window.HH_DISCOUNTS;
+}
+
+const { normalizeCode, validatePromotion, evaluatePromotion } = loadDiscounts();
+
+const PROMOTIONS = [
+  { code: 'WELCOME10', type: 'percent', percent: 10, minSubtotal: 20, expires: '2026-12-31' },
+  { code: 'TAKE15', type: 'percent', percent: 15 },
+  { code: 'FIVEOFF', type: 'fixed', amount: 5 },
+  { code: 'HALFDOLLAR', type: 'fixed', amount: 0.5 },
+  { code: 'SUMMER', type: 'fixed', amount: 3, starts: '2026-06-01', expires: '2026-08-31' },
+  { code: 'SHRIMPBOGO', type: 'bogo', itemId: 'jumbo-shrimp' },
+  { code: 'PLATEPLUS', type: 'free-side', plateCategory: 'plates', sideCategory: 'sides' },
+];
+
+// Noon in New York, well away from any date boundary
+const NOW = new Date('2026-10-19T16:00:00Z');
+
+function line(id, category, unitPrice, quantity = 1) {
+  return { key: `${id}|${unitPrice}`, id, category, unitPrice, quantity };
+}
+
+const SHRIMP = line('jumbo-shrimp', 'seafood', 1400);
+const JOLLOF = line('jollof-rice', 'sides', 500);
+const PLANTAIN = line('plantain', 'sides', 400);
+const OXTAIL = line('oxtail', 'plates', 2200);
+
+function evaluate(code, lines, now = NOW) {
+  return evaluatePromotion(code, lines, PROMOTIONS, { now });
+}
+
+test('codes are matched case- and space-insensitively', () => {
+  assert.equal(normalizeCode('  fiveoff '), 'FIVEOFF');
+  assert.equal(evaluate(' fiveOff', [OXTAIL]).code, 'FIVEOFF');
+  assert.deepEqual(evaluate('NOPE', [OXTAIL]), { ok: false, reason: 'unknown', params: { code: 'NOPE' }, promo: null });
+});
+
+test('a promotion that fails validation is treated as unknown', () => {
+  const broken = [{ code: 'BROKEN', type: 'percent', percent: 150 }];
+  assert.deepEqual(validatePromotion(broken[0]), ['Promotion "BROKEN" needs a percent between 0 and 100']);
+  assert.equal(evaluatePromotion('BROKEN', [OXTAIL], broken, { now: NOW }).reason, 'unknown');
+});
+
+// [name, now, expected reason or null when the code applies]
+const DATE_CASES = [
+  ['works on its expiry date', '2026-12-31T16:00:00Z', null],
+  ['still works late on the expiry date in New York', '2027-01-01T04:30:00Z', null],
+  ['expires at midnight in New York, not UTC', '2027-01-01T05:30:00Z', 'expired'],
+  ['is expired the next day', '2027-01-02T16:00:00Z', 'expired'],
+];
+
+for (const [name, now, reason] of DATE_CASES) {
+  test(`WELCOME10 ${name}`, () => {
+    const result = evaluate('WELCOME10', [OXTAIL], new Date(now));
+    if (reason) {
+      assert.equal(result.ok, false);
+      assert.equal(result.reason, reason);
+      assert.deepEqual(result.params, { expires: '2026-12-31' });
+    } else {
+      assert.equal(result.ok, true);
+    }
+  });
+}
+
+test('a promotion with a start date waits for it', () => {
+  assert.deepEqual(evaluate('SUMMER', [OXTAIL], new Date('2026-05-31T16:00:00Z')).params, { starts: '2026-06-01' });
+  assert.equal(evaluate('SUMMER', [OXTAIL], new Date('2026-06-01T16:00:00Z')).discount, 300);
+  assert.equal(evaluate('SUMMER', [OXTAIL], new Date('2026-09-01T16:00:00Z')).reason, 'expired');
+});
+
+test('the minimum subtotal is inclusive and reports the shortfall in cents', () => {
+  const short = evaluate('WELCOME10', [line('oxtail', 'plates', 1999)]);
+  assert.equal(short.reason, 'min-subtotal');
+  assert.deepEqual(short.params, { minSubtotal: 2000, shortBy: 1 });
+
+  assert.equal(evaluate('WELCOME10', [line('oxtail', 'plates', 1000, 2)]).discount, 200);
+  // Lines with no quantity don't count towards it
+  assert.equal(evaluate('WELCOME10', [line('oxtail', 'plates', 1999), line('plantain', 'sides', 400, 0)]).reason, 'min-subtotal');
+});
+
+// [code, lines, expected discount in cents]
+const AMOUNT_CASES = [
+  ['TAKE15', [line('oxtail', 'plates', 1033)], 155],
+  ['TAKE15', [line('oxtail', 'plates', 1030)], 155],
+  ['TAKE15', [line('oxtail', 'plates', 1029)], 154],
+  ['WELCOME10', [line('oxtail', 'plates', 2005)], 201],
+  ['WELCOME10', [line('oxtail', 'plates', 1001, 2)], 200],
+  ['FIVEOFF', [OXTAIL], 500],
+  ['FIVEOFF', [PLANTAIN], 400],
+  ['HALFDOLLAR', [line('oxtail', 'plates', 1033)], 50],
+];
+
+for (const [code, lines, discount] of AMOUNT_CASES) {
+  const subtotal = lines.reduce((sum, l) => sum + l.unitPrice * l.quantity, 0);
+  test(`${code} takes ${discount}¢ off ${subtotal}¢`, () => {
+    const result = evaluate(code, lines);
+    assert.equal(result.ok, true);
+    assert.equal(result.discount, discount);
+    assert.ok(Number.isInteger(result.discount));
+    assert.deepEqual(result.lineDiscounts, {});
+  });
+}
+
+test('BOGO only counts the named item and frees the cheapest half', () => {
+  assert.deepEqual(evaluate('SHRIMPBOGO', [SHRIMP, OXTAIL, JOLLOF]).params, { itemId: 'jumbo-shrimp', quantity: 2 });
+
+  const cheapShrimp = line('jumbo-shrimp', 'seafood', 1200);
+  const result = evaluate('SHRIMPBOGO', [line('jumbo-shrimp', 'seafood', 1400, 2), cheapShrimp, OXTAIL]);
+  assert.equal(result.discount, 1200);
+  assert.deepEqual(result.lineDiscounts, { [cheapShrimp.key]: 1200 });
+
+  const four = evaluate('SHRIMPBOGO', [line('jumbo-shrimp', 'seafood', 1400, 4), OXTAIL]);
+  assert.equal(four.discount, 2800);
+  assert.deepEqual(four.lineDiscounts, { [SHRIMP.key]: 2800 });
+});
+
+test('free-side gives one side per plate, cheapest first', () => {
+  assert.equal(evaluate('PLATEPLUS', [JOLLOF]).reason, 'needs-plate');
+  assert.deepEqual(evaluate('PLATEPLUS', [OXTAIL, SHRIMP]).params, { category: 'sides' });
+
+  const one = evaluate('PLATEPLUS', [OXTAIL, JOLLOF, PLANTAIN]);
+  assert.equal(one.discount, 400);
+  assert.deepEqual(one.lineDiscounts, { [PLANTAIN.key]: 400 });
+
+  const two = evaluate('PLATEPLUS', [line('oxtail', 'plates', 2200, 2), JOLLOF, PLANTAIN, SHRIMP]);
+  assert.equal(two.discount, 900);
+  assert.deepEqual(two.lineDiscounts, { [PLANTAIN.key]: 400, [JOLLOF.key]: 500 });
+});
@@ -0,0 +1,163 @@
+// Run with `node --test` from the repo root
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+// Just enough DOM for h(): elements with attributes, dataset and text children
+class FakeNode {}
+
+class FakeText extends FakeNode {
+  constructor(text) {
+    super();
+    this.nodeValue = text;
+  }
+
+  get textContent() {
+    return this.nodeValue;
+  }
+}
+
+class FakeElement extends FakeNode {
+  constructor(tag) {
+    super();
+    this.tagName = tag.toUpperCase();
+    this.attributes = {};
+    this.dataset = {};
+    this.childNodes = [];
+  }
+
+  setAttribute(name, value) {
+    this.attributes[name] = String(value);
+  }
+
+  getAttribute(name) {
+    return Object.prototype.hasOwnProperty.call(this.attributes, name) ? this.attributes[name] : null;
+  }
+
+  append(...nodes) {
+    nodes.forEach(node => this.childNodes.push(typeof node === 'string' ? new FakeText(node) : node));
+  }
+
+  get children() {
+    return this.childNodes.filter(node => node instanceof FakeElement);
+  }
+
+  get textContent() {
+    return this.childNodes.map(node => node.textContent).join('');
+  }
+
+  set textContent(text) {
+    this.childNodes = text ? [new FakeText(String(text))] : [];
+  }
+}
+
+// dom.js is a browser script that sets window.HH_DOM; run it against the fakes
+function loadDom() {
+  const window = { location: { href: 'https://holyhands.example/menu/' } };
+  const document = { createElement: tag => new FakeElement(tag) };
+  const source = fs.readFileSync(path.join(__dirname, '..', 'dom.js'), 'utf8');
+  new Function('window', 'document', 'Node', source)(window, document, FakeNode);
+  return window.HH_DOM;
+}
+
+const { h, replaceChildren, escapeHtml, safeUrl, safeImageUrl, safeSrcset } = loadDom();
+
+const HOSTILE_NAME = '<img src=x onerror="alert(1)">Jollof';
+const PNG_DATA_URL = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==';
+
+test('escapeHtml escapes markup and quotes', () => {
+  assert.equal(escapeHtml(HOSTILE_NAME), '&lt;img src=x onerror=&quot;alert(1)&quot;&gt;Jollof');
+  assert.equal(escapeHtml(`Mama's "best"`), 'Mama&#39;s &quot;best&quot;');
+  assert.equal(escapeHtml(null), '');
+});
+
+test('safeUrl keeps relative paths, http(s) and base64 image data', () => {
+  for (const url of ['food/jerk_chicken.jpg', '/img/a.webp', 'https://cdn.example/a.jpg', 'http://cdn.example/a.jpg', PNG_DATA_URL]) {
+    assert.equal(safeUrl(url, 'fallback'), url);
+  }
+  assert.equal(safeUrl('  food/shrimp.jpg  ', 'fallback'), 'food/shrimp.jpg');
+});
+
+test('safeUrl rejects script and other schemes', () => {
+  const hostile = [
+    'javascript:alert(1)',
+    ' JaVaScRiPt:alert(1)',
+    'java\tscript:alert(1)',
+    'vbscript:msgbox(1)',
+    'data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==',
+    'data:image/svg+xml;base64,PHN2ZyBvbmxvYWQ9YWxlcnQoMSk+',
+    'data:image/png;base64,AAAA"onerror="alert(1)',
+    'file:///etc/passwd',
+    '',
+    '   ',
+    null,
+    { toString: () => 'javascript:alert(1)' },
+  ];
+  for (const url of hostile) {
+    assert.equal(safeUrl(url, 'fallback'), 'fallback', String(url));
+  }
+});
+
+test('safeImageUrl falls back to the logo', () => {
+  assert.equal(safeImageUrl('javascript:alert(1)'), 'holyhandslogo.png');
+  assert.equal(safeImageUrl(undefined), 'holyhandslogo.png');
+  assert.equal(safeImageUrl('food/shrimp.jpg'), 'food/shrimp.jpg');
+});
+
+test('safeSrcset drops hostile candidates and keeps descriptors', () => {
+  assert.equal(
+    safeSrcset('img/a-320.webp 320w, javascript:alert(1) 640w, img/a-960.webp 960w'),
+    'img/a-320.webp 320w, img/a-960.webp 960w',
+  );
+  assert.equal(safeSrcset('data:image/svg+xml;base64,PHN2Zz4= 1x, data:text/html,x 2x'), '');
+  assert.equal(safeSrcset(`${PNG_DATA_URL} 1x`), `${PNG_DATA_URL} 1x`);
+  assert.equal(safeSrcset(null), '');
+});
+
+test('h() puts hostile names in as text, never markup', () => {
+  const title = h('h3', { className: 'item-name' }, HOSTILE_NAME);
+  assert.equal(title.children.length, 0);
+  assert.equal(title.textContent, HOSTILE_NAME);
+  assert.equal(title.className, 'item-name');
+
+  const card = h('div', { text: HOSTILE_NAME });
+  assert.equal(card.children.length, 0);
+  assert.equal(card.textContent, HOSTILE_NAME);
+});
+
+test('h() keeps hostile attribute values as plain values', () => {
+  const img = h('img', { alt: '"><script>alert(1)</script>', title: HOSTILE_NAME });
+  assert.equal(img.getAttribute('alt'), '"><script>alert(1)</script>');
+  assert.equal(img.getAttribute('title'), HOSTILE_NAME);
+});
+
+test('h() checks URL and srcset attributes', () => {
+  assert.equal(h('img', { src: 'javascript:alert(1)' }).getAttribute('src'), '#');
+  assert.equal(h('a', { href: ' javascript:alert(1)' }).getAttribute('href'), '#');
+  assert.equal(h('img', { src: 'food/shrimp.jpg' }).getAttribute('src'), 'food/shrimp.jpg');
+  assert.equal(h('source', { srcset: 'javascript:alert(1) 1x' }).getAttribute('srcset'), null);
+  assert.equal(h('source', { srcset: 'data:image/svg+xml;base64,PHN2Zz4= 1x, img/a.webp 2x' }).getAttribute('srcset'), 'img/a.webp 2x');
+});
+
+test('h() refuses inline event handlers', () => {
+  assert.throws(() => h('img', { onerror: 'alert(1)' }), /inline handler "onerror"/);
+  assert.throws(() => h('button', { onClick: () => {} }), /inline handler "onClick"/);
+});
+
+test('h() skips null and false, flattens arrays and sets dataset', () => {
+  const list = h('ul', { dataset: { itemId: 'jollof', missing: null }, hidden: false, open: true },
+    [h('li', null, 'a'), null, false, ['b', [0]]]);
+  assert.deepEqual(list.childNodes.map(node => node.textContent), ['a', 'b', '0']);
+  assert.deepEqual(list.dataset, { itemId: 'jollof' });
+  assert.equal(list.getAttribute('hidden'), null);
+  assert.equal(list.getAttribute('open'), '');
+});
+
+test('replaceChildren swaps in text and nodes', () => {
+  const parent = h('div', null, 'old');
+  replaceChildren(parent, HOSTILE_NAME, h('span', null, 'x'));
+  assert.equal(parent.childNodes.length, 2);
+  assert.equal(parent.childNodes[0].textContent, HOSTILE_NAME);
+  assert.equal(parent.children.length, 1);
+});
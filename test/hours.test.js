@@ -0,0 +1,109 @@
+// Run with `node --test` from the repo root
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+// hours.js is a browser script that sets window.HH_HOURS
+function loadHours() {
+  const window = {};
+  const source = fs.readFileSync(path.join(__dirname, '..', 'hours.js'), 'utf8');
+  new Function('window', source)(window);
+  return window.HH_HOURS;
+}
+
+const { SCHEDULE, getOpenState, momentAt, formatMoment } = loadHours();
+
+// A moment as [kitchen date, "HH:MM", days ahead], or null
+function describe(moment) {
+  return moment && [moment.date, moment.time, moment.daysAhead];
+}
+
+// [name, now, schedule overrides, expected { open, closesAt | opensAt }]
+const OPEN_STATE_CASES = [
+  [
+    'closed all Monday; opens Tuesday morning',
+    '2026-10-19T15:00:00Z',
+    {},
+    { open: false, opensAt: ['2026-10-20', '11:00', 1] },
+  ],
+  [
+    'before opening the same day',
+    '2026-10-20T14:59:00Z',
+    {},
+    { open: false, opensAt: ['2026-10-20', '11:00', 0] },
+  ],
+  [
+    'open at noon until 8pm',
+    '2026-10-20T16:00:00Z',
+    {},
+    { open: true, closesAt: ['2026-10-20', '20:00', 0] },
+  ],
+  [
+    'closing time itself is closed',
+    '2026-10-21T00:00:00Z',
+    {},
+    { open: false, opensAt: ['2026-10-21', '11:00', 1] },
+  ],
+  [
+    'a holiday replaces the weekly hours',
+    '2026-11-26T16:00:00Z',
+    {},
+    { open: false, opensAt: ['2026-11-27', '11:00', 1] },
+  ],
+  [
+    'a cutoff stops orders before closing time',
+    '2026-10-20T23:30:00Z',
+    { cutoffMinutes: 20 },
+    { open: true, closesAt: ['2026-10-20', '19:40', 0] },
+  ],
+  [
+    'inside the cutoff counts as closed',
+    '2026-10-20T23:45:00Z',
+    { cutoffMinutes: 20 },
+    { open: false, opensAt: ['2026-10-21', '11:00', 1] },
+  ],
+  [
+    'a period shorter than the cutoff never opens',
+    '2026-10-20T16:00:00Z',
+    { cutoffMinutes: 550 },
+    { open: false, opensAt: ['2026-10-23', '11:00', 3] },
+  ],
+  [
+    'nothing open within two weeks',
+    '2026-10-20T16:00:00Z',
+    { weekly: {}, holidays: {} },
+    { open: false, opensAt: null },
+  ],
+];
+
+for (const [name, now, overrides, expected] of OPEN_STATE_CASES) {
+  test(`getOpenState: ${name}`, () => {
+    const state = getOpenState(new Date(now), { ...SCHEDULE, ...overrides });
+    assert.equal(state.open, expected.open);
+    const key = expected.open ? 'closesAt' : 'opensAt';
+    assert.deepEqual(describe(state[key]), expected[key]);
+  });
+}
+
+test('opening times are kitchen time across a daylight saving change', () => {
+  // Clocks go back at 2am on Sunday 1 November; noon is then 17:00 UTC
+  const state = getOpenState(new Date('2026-11-01T12:00:00Z'));
+  assert.deepEqual(describe(state.opensAt), ['2026-11-01', '12:00', 0]);
+  assert.equal(state.opensAt.at.toISOString(), '2026-11-01T17:00:00.000Z');
+});
+
+test('momentAt counts days on the kitchen calendar', () => {
+  // 1am UTC on the 21st is still the evening of the 20th in New York
+  const moment = momentAt(new Date('2026-10-21T01:00:00Z'), new Date('2026-10-20T16:00:00Z'));
+  assert.deepEqual(describe(moment), ['2026-10-20', '21:00', 0]);
+});
+
+test('formatMoment', () => {
+  const at = (iso, daysAhead) => ({ at: new Date(iso), daysAhead });
+  const plain = (text) => text.replace(/\s/g, ' ');
+  assert.equal(plain(formatMoment(at('2026-10-20T15:00:00Z', 0))), 'today at 11:00 AM');
+  assert.equal(plain(formatMoment(at('2026-10-21T15:00:00Z', 1))), 'tomorrow at 11:00 AM');
+  assert.equal(plain(formatMoment(at('2026-10-23T15:00:00Z', 3))), 'Fri at 11:00 AM');
+  assert.equal(plain(formatMoment(at('2026-10-20T15:00:00Z', 0), SCHEDULE, { withDay: false })), '11:00 AM');
+});
@@ -0,0 +1,35 @@
+// Run with `node --test` from the repo root
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { renderMenuBundle } = require('../tools/build-menu-bundle.js');
+
+const ROOT = path.join(__dirname, '..');
+const menu = JSON.parse(fs.readFileSync(path.join(ROOT, 'menu.json'), 'utf8'));
+const bundleSource = fs.readFileSync(path.join(ROOT, 'menu-bundle.js'), 'utf8');
+
+// menu-bundle.js is a browser script that sets window.HH_BUNDLED_MENU
+function loadBundle(source) {
+  const window = {};
+  new Function('window', source)(window);
+  return window.HH_BUNDLED_MENU;
+}
+
+test('menu-bundle.js holds the same catalog as menu.json', () => {
+  assert.deepEqual(loadBundle(bundleSource), menu, 'run node tools/build-menu-bundle.js');
+});
+
+test('menu-bundle.js is the generated file, not a hand edit', () => {
+  assert.equal(bundleSource.replace(/\r\n/g, '\n'), renderMenuBundle(menu), 'run node tools/build-menu-bundle.js');
+});
+
+test('the generated bundle round-trips awkward strings', () => {
+  const awkward = {
+    name: "Mama's \\ \"special\"",
+    'data-key': ['a', 1, true],
+    nested: [{ empty: {}, list: [] }, null],
+  };
+  assert.deepEqual(loadBundle(renderMenuBundle(awkward)), awkward);
+});
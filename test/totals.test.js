@@ -0,0 +1,134 @@
+// Run with `node --test` from the repo root
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+// totals.js is a browser script that sets window.HH_TOTALS
+function loadTotals() {
+  const window = {};
+  const source = fs.readFileSync(path.join(__dirname, '..', 'totals.js'), 'utf8');
+  new Function('window', source)(window);
+  return window.HH_TOTALS;
+}
+
+const { PRICING, computeTotals, computeDeliveryFee, distanceMiles } = loadTotals();
+
+function lines(...unitPrices) {
+  return unitPrices.map((unitPrice) => ({ unitPrice, quantity: 1 }));
+}
+
+// [name, order, the parts of the breakdown it must produce]
+const TOTALS_CASES = [
+  [
+    'an empty cart costs nothing',
+    { lines: [] },
+    { subtotal: 0, discount: 0, deliveryFee: 0, tax: 0, tip: 0, total: 0, deliverable: true },
+  ],
+  [
+    'missing lines count as an empty cart',
+    { tipPercent: 0.2 },
+    { subtotal: 0, tip: 0, total: 0 },
+  ],
+  [
+    'tax is 6% of the subtotal, rounded to the cent',
+    { lines: lines(1008) },
+    { tax: 60, total: 1068 },
+  ],
+  [
+    'half a cent of tax rounds up',
+    { lines: lines(1025) },
+    { tax: 62, total: 1087 },
+  ],
+  [
+    'tax is taken on the whole subtotal, not line by line',
+    { lines: lines(1025, 1025) },
+    { subtotal: 2050, tax: 123, total: 2173 },
+  ],
+  [
+    'quantities multiply and bad lines add nothing',
+    { lines: [{ unitPrice: 650, quantity: 3 }, { unitPrice: 'x', quantity: 2 }, { unitPrice: 500, quantity: -1 }] },
+    { subtotal: 1950 },
+  ],
+  [
+    'a discount comes off before tax and tip',
+    { lines: lines(2000), discount: 500, tipPercent: 0.2 },
+    { discount: 500, tax: 90, tip: 300, total: 1890 },
+  ],
+  [
+    'a discount never takes the total below zero',
+    { lines: lines(400), discount: 1000 },
+    { discount: 400, tax: 0, total: 0 },
+  ],
+  [
+    'the tip is on the food, not on tax or delivery',
+    { lines: lines(2000), fulfilment: 'delivery', distanceMiles: 2, tipPercent: 0.15 },
+    { deliveryFee: 500, tax: 120, tip: 300, total: 2920 },
+  ],
+  [
+    'pickup has no delivery fee',
+    { lines: lines(1000), fulfilment: 'pickup', distanceMiles: 3 },
+    { deliveryFee: 0, deliverable: true, total: 1060 },
+  ],
+  [
+    'delivery with an unknown distance is not deliverable, not free',
+    { lines: lines(1000), fulfilment: 'delivery', distanceMiles: null },
+    { deliveryFee: 0, deliverable: false },
+  ],
+  [
+    'delivery past the limit is not deliverable',
+    { lines: lines(1000), fulfilment: 'delivery', distanceMiles: 8.1 },
+    { deliveryFee: 0, deliverable: false },
+  ],
+  [
+    'delivery to an empty cart still charges the fee',
+    { lines: [], fulfilment: 'delivery', distanceMiles: 1, tipPercent: 0.2 },
+    { subtotal: 0, deliveryFee: 400, tip: 0, total: 400 },
+  ],
+];
+
+for (const [name, order, expected] of TOTALS_CASES) {
+  test(`computeTotals: ${name}`, () => {
+    const totals = computeTotals(order);
+    for (const [key, value] of Object.entries(expected)) {
+      assert.equal(totals[key], value, key);
+    }
+    assert.equal(totals.total, totals.subtotal - totals.discount + totals.deliveryFee + totals.tax + totals.tip);
+  });
+}
+
+test('the delivery fee is $3 plus $1 a mile, rounded to the cent', () => {
+  assert.deepEqual(PRICING.delivery, { baseCents: 300, perMileCents: 100, maxMiles: 8 });
+  for (const [miles, cents] of [[0, 300], [1, 400], [2.5, 550], [3.333, 633], [3.335, 634], [7.99, 1099]]) {
+    assert.equal(computeDeliveryFee(miles), cents, String(miles));
+  }
+});
+
+test('delivery stops at 8 miles', () => {
+  assert.equal(computeDeliveryFee(8), 1100);
+  assert.equal(computeDeliveryFee(8.001), null);
+  assert.equal(computeDeliveryFee(20), null);
+});
+
+test('an unknown or impossible distance has no fee', () => {
+  for (const miles of [null, undefined, NaN, Infinity, -1, '2']) {
+    assert.equal(computeDeliveryFee(miles), null, String(miles));
+  }
+});
+
+test('the delivery settings can be passed in', () => {
+  const delivery = { baseCents: 200, perMileCents: 150, maxMiles: 3 };
+  assert.equal(computeDeliveryFee(2, delivery), 500);
+  assert.equal(computeDeliveryFee(4, delivery), null);
+  const totals = computeTotals({ lines: lines(1000), fulfilment: 'delivery', distanceMiles: 2 }, { ...PRICING, delivery, taxRate: 0.1 });
+  assert.equal(totals.deliveryFee, 500);
+  assert.equal(totals.tax, 100);
+});
+
+test('distanceMiles', () => {
+  const kitchen = { lat: 40, lon: -75 };
+  assert.equal(distanceMiles(kitchen, kitchen), 0);
+  // One degree of latitude is about 69 miles
+  assert.ok(Math.abs(distanceMiles(kitchen, { lat: 41, lon: -75 }) - 69.1) < 0.1);
+  assert.equal(distanceMiles(kitchen, { lat: 41, lon: -75 }), distanceMiles({ lat: 41, lon: -75 }, kitchen));
+});
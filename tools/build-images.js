@@ -0,0 +1,122 @@
+/*
+ * Holy Hands Kitchen – responsive image build
+ *
+ * Reads menu.json and, for every item with a photo in food/, writes AVIF, WebP
+ * and JPEG copies at several widths to img/, plus img/manifest.json keyed by
+ * item id:
+ *
+ *   "jumbo-shrimp": {
+ *     "src": "img/jumbo-shrimp-960.jpg",
+ *     "width": 1280, "height": 1707,
+ *     "placeholder": "data:image/webp;base64,…",
+ *     "formats": { "avif": [{ "src": "img/jumbo-shrimp-320.avif", "width": 320 }, …], … }
+ *   }
+ *
+ * img/ is build output and is not committed; without it the page falls back
+ * to the originals in food/.
+ *
+ * Usage (from the repo root, no package.json needed):
+ *   npm install --no-save sharp
+ *   node tools/build-images.js
+ *
+ * The build fails if two items point at the same photo, so a dish never ends
+ * up showing another dish's picture. Give the item its own photo in food/, or
+ * set its "image" to null to show the logo tile.
+ */
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+const ROOT = path.resolve(__dirname, '..');
+const MENU_PATH = path.join(ROOT, 'menu.json');
+const OUT_DIR = path.join(ROOT, 'img');
+const WIDTHS = [320, 640, 960, 1280];
+const FALLBACK_WIDTH = 960;
+const PLACEHOLDER_WIDTH = 16;
+const FORMATS = {
+  avif: { quality: 50 },
+  webp: { quality: 70 },
+  jpeg: { quality: 75, mozjpeg: true },
+};
+const EXTENSIONS = { avif: 'avif', webp: 'webp', jpeg: 'jpg' };
+
+function fail(message) {
+  console.error(`build-images: ${message}`);
+  process.exit(1);
+}
+
+function photoItems(menu) {
+  const owners = new Map();
+  const items = (menu.items || []).filter((item) => item.image);
+
+  items.forEach((item) => {
+    if (!item.image.startsWith('food/')) {
+      fail(`${item.id}: image "${item.image}" must live in food/`);
+    }
+    if (!fs.existsSync(path.join(ROOT, item.image))) {
+      fail(`${item.id}: ${item.image} does not exist`);
+    }
+    if (owners.has(item.image)) {
+      fail(`${item.id} reuses ${item.image}, which already belongs to ${owners.get(item.image)}`);
+    }
+    owners.set(item.image, item.id);
+  });
+  return items;
+}
+
+async function buildItem(item) {
+  const input = path.join(ROOT, item.image);
+  const meta = await sharp(input).metadata();
+  // EXIF orientations 5–8 are a quarter turn, so width and height swap
+  const [originalWidth, originalHeight] = meta.orientation >= 5
+    ? [meta.height, meta.width]
+    : [meta.width, meta.height];
+  const width = Math.min(originalWidth, WIDTHS[WIDTHS.length - 1]);
+  const height = Math.round((originalHeight * width) / originalWidth);
+
+  // Decode the (large) original once, upright and at the biggest size we need
+  const base = await sharp(input).rotate().resize({ width }).toBuffer();
+  const source = sharp(base);
+
+  const widths = WIDTHS.filter((w) => w < width).concat(width);
+  const formats = {};
+
+  for (const [format, options] of Object.entries(FORMATS)) {
+    formats[format] = [];
+    for (const w of widths) {
+      const file = `${item.id}-${w}.${EXTENSIONS[format]}`;
+      await source.clone().resize({ width: w }).toFormat(format, options).toFile(path.join(OUT_DIR, file));
+      formats[format].push({ src: `img/${file}`, width: w });
+    }
+  }
+
+  const tiny = await source.clone().resize({ width: PLACEHOLDER_WIDTH }).webp({ quality: 30 }).toBuffer();
+  const fallback = formats.jpeg.find((v) => v.width >= FALLBACK_WIDTH) || formats.jpeg[formats.jpeg.length - 1];
+
+  return {
+    src: fallback.src,
+    width,
+    height,
+    placeholder: `data:image/webp;base64,${tiny.toString('base64')}`,
+    formats,
+  };
+}
+
+async function main() {
+  const menu = JSON.parse(fs.readFileSync(MENU_PATH, 'utf8'));
+  const items = photoItems(menu);
+
+  fs.rmSync(OUT_DIR, { recursive: true, force: true });
+  fs.mkdirSync(OUT_DIR, { recursive: true });
+
+  const manifest = {};
+  for (const item of items) {
+    manifest[item.id] = await buildItem(item);
+    console.log(`build-images: ${item.id} ← ${item.image}`);
+  }
+
+  fs.writeFileSync(path.join(OUT_DIR, 'manifest.json'), `${JSON.stringify(manifest, null, 2)}\n`);
+  console.log(`build-images: wrote ${items.length} item(s) to img/`);
+}
+
+main().catch((err) => fail(err.stack || err.message));
@@ -0,0 +1,86 @@
+/*
+ * Holy Hands Kitchen – bundled menu build
+ *
+ * Writes menu-bundle.js, the copy of menu.json that script.js falls back to
+ * when menu.json can't be fetched (offline, file:// previews, a bad deploy).
+ * menu.json is the only place the catalog is edited; run this after every
+ * change to it. test/menu-bundle.test.js fails while the two differ.
+ *
+ * Usage (from the repo root, no dependencies):
+ *   node tools/build-menu-bundle.js           rewrite menu-bundle.js
+ *   node tools/build-menu-bundle.js --check   exit 1 if it is out of date
+ */
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const MENU_PATH = path.join(ROOT, 'menu.json');
+const BUNDLE_PATH = path.join(ROOT, 'menu-bundle.js');
+
+const HEADER = `/*
+ * Bundled copy of menu.json.
+ *
+ * script.js falls back to this when menu.json can't be fetched (offline,
+ * file:// previews, a bad deploy). Generated by tools/build-menu-bundle.js;
+ * edit menu.json and rebuild rather than changing this file.
+ */
+`;
+
+function quote(text) {
+  return `'${text.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+function propertyName(name) {
+  return /^[A-Za-z_$][\w$]*$/.test(name) ? name : quote(name);
+}
+
+// menu.json as a JS literal in the repo's style: two-space indent, single
+// quotes, trailing commas, short lists of plain values on one line
+function literal(value, depth) {
+  const pad = '  '.repeat(depth);
+  if (Array.isArray(value)) {
+    if (!value.length) return '[]';
+    if (value.every((v) => ['string', 'number', 'boolean'].includes(typeof v))) {
+      return `[${value.map((v) => literal(v, depth)).join(', ')}]`;
+    }
+    return `[\n${value.map((v) => `${pad}  ${literal(v, depth + 1)},`).join('\n')}\n${pad}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.entries(value);
+    if (!entries.length) return '{}';
+    return `{\n${entries.map(([k, v]) => `${pad}  ${propertyName(k)}: ${literal(v, depth + 1)},`).join('\n')}\n${pad}}`;
+  }
+  return typeof value === 'string' ? quote(value) : JSON.stringify(value);
+}
+
+/**
+ * The contents of menu-bundle.js for a parsed menu.json, with \n line endings.
+ */
+function renderMenuBundle(menu) {
+  return `${HEADER}window.HH_BUNDLED_MENU = ${literal(menu, 0)};\n`;
+}
+
+function main() {
+  const menu = JSON.parse(fs.readFileSync(MENU_PATH, 'utf8'));
+  const current = fs.existsSync(BUNDLE_PATH) ? fs.readFileSync(BUNDLE_PATH, 'utf8') : '';
+  const bundle = renderMenuBundle(menu);
+
+  if (current.replace(/\r\n/g, '\n') === bundle) {
+    console.log('build-menu-bundle: menu-bundle.js is up to date');
+    return;
+  }
+  if (process.argv.includes('--check')) {
+    console.error('build-menu-bundle: menu-bundle.js is out of date; run node tools/build-menu-bundle.js');
+    process.exit(1);
+  }
+  // Keep the file's existing line endings so a rebuild only shows real changes
+  const eol = current.includes('\r\n') ? '\r\n' : '\n';
+  fs.writeFileSync(BUNDLE_PATH, bundle.replace(/\n/g, eol));
+  console.log('build-menu-bundle: wrote menu-bundle.js');
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { renderMenuBundle };
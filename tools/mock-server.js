@@ -0,0 +1,250 @@
+/*
+ * Holy Hands Kitchen – local mock ordering server
+ *
+ * Serves the site from the repo root together with a stand-in for the
+ * ordering API, so checkout and order tracking can be tried end to end
+ * without the real backend:
+ *
+ *   POST /orders                  → 201 { ok, orderId, orderNumber, status, estimatedReadyAt }
+ *   GET  /orders/:orderId/status  → { orderId, orderNumber, status, updatedAt, estimatedReadyAt }
+ *   GET  /geocode?address=…       → { lat, lon }
+ *
+ * Each order moves received → preparing → ready → completed, one step every
+ * STEP_SECONDS (counted from its scheduled time for orders placed ahead).
+ * Orders are kept in memory and forgotten when the server stops.
+ *
+ * index.html is served with its hh-api-base set to "/", which switches online
+ * ordering on and sends the page's orders here.
+ *
+ * Delivery needs the kitchen's coordinates. Pass them as HH_KITCHEN_LOCATION
+ * ("lat,lon") and they are put in the page's hh-kitchen-location. The mock
+ * doesn't really geocode: it places each address somewhere from 0 to 12 miles
+ * north of the kitchen, picked from the address text, so both in-range and
+ * out-of-range addresses can be tried.
+ *
+ * Usage (from the repo root, no dependencies):
+ *   node tools/mock-server.js
+ *   PORT=9000 STEP_SECONDS=5 HH_KITCHEN_LOCATION=40.0,-75.0 node tools/mock-server.js
+ */
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const crypto = require('crypto');
+
+const ROOT = path.resolve(__dirname, '..');
+const PORT = Number(process.env.PORT) || 8080;
+const STEP_SECONDS = Number(process.env.STEP_SECONDS) || 30;
+const KITCHEN_LOCATION = (process.env.HH_KITCHEN_LOCATION || '').trim();
+const MILES_PER_DEGREE_LAT = 69.05;
+const PREP_MINUTES = { pickup: 25, delivery: 45 };
+const STATUSES = ['received', 'preparing', 'ready', 'completed'];
+const MAX_BODY_BYTES = 100 * 1024;
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.webmanifest': 'application/manifest+json',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.svg': 'image/svg+xml',
+};
+
+// Folders in the repo that aren't part of the site
+const PRIVATE_DIRS = ['tools', 'test', 'example', 'node_modules'];
+
+const orders = new Map();
+// Replays of the same order (e.g. from the offline queue) get the same answer
+const ordersByClientId = new Map();
+let nextOrderNumber = 1001;
+
+function sendJson(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Cache-Control': 'no-store',
+  });
+  res.end(JSON.stringify(body));
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error('Request body is too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+      } catch (err) {
+        reject(new Error('Request body is not valid JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function orderError(payload) {
+  if (!payload || typeof payload !== 'object') return 'Order must be a JSON object';
+  if (!payload.name || !payload.phone) return 'Please include your name and phone number.';
+  if (!Array.isArray(payload.items) || !payload.items.length) return 'Your order has no items.';
+  if (!['pickup', 'delivery'].includes(payload.fulfilment)) return 'Choose pickup or delivery.';
+  if (payload.scheduledFor && Number.isNaN(Date.parse(payload.scheduledFor))) return 'Invalid scheduled time.';
+  return null;
+}
+
+function statusOf(order, now = Date.now()) {
+  const step = Math.floor((now - order.startsAt) / (STEP_SECONDS * 1000));
+  const index = Math.max(0, Math.min(STATUSES.length - 1, step));
+  // Nothing has happened yet for an order placed ahead, so it was last
+  // updated when it was placed
+  const updatedAt = index === 0 ? order.createdAt : order.startsAt + index * STEP_SECONDS * 1000;
+  return {
+    orderId: order.orderId,
+    orderNumber: order.orderNumber,
+    status: STATUSES[index],
+    updatedAt: new Date(updatedAt).toISOString(),
+    estimatedReadyAt: order.estimatedReadyAt,
+  };
+}
+
+async function createOrder(req, res) {
+  let payload;
+  try {
+    payload = await readJson(req);
+  } catch (err) {
+    sendJson(res, 400, { ok: false, error: err.message });
+    return;
+  }
+  const error = orderError(payload);
+  if (error) {
+    sendJson(res, 400, { ok: false, error });
+    return;
+  }
+
+  let order = payload.clientOrderId && ordersByClientId.get(payload.clientOrderId);
+  if (!order) {
+    const createdAt = Date.now();
+    const startsAt = payload.scheduledFor ? Math.max(createdAt, Date.parse(payload.scheduledFor)) : createdAt;
+    order = {
+      orderId: crypto.randomUUID(),
+      orderNumber: String(nextOrderNumber++),
+      createdAt,
+      startsAt,
+      estimatedReadyAt: new Date(startsAt + PREP_MINUTES[payload.fulfilment] * 60000).toISOString(),
+      payload,
+    };
+    orders.set(order.orderId, order);
+    if (payload.clientOrderId) ordersByClientId.set(payload.clientOrderId, order);
+    console.log(`mock-server: order #${order.orderNumber} for ${payload.name}, ${payload.items.length} line(s), ${payload.total} cents`);
+  }
+
+  const { status, estimatedReadyAt } = statusOf(order);
+  sendJson(res, 201, { ok: true, orderId: order.orderId, orderNumber: order.orderNumber, status, estimatedReadyAt });
+}
+
+function geocode(res, searchParams) {
+  const address = (searchParams.get('address') || '').trim();
+  const [lat, lon] = KITCHEN_LOCATION.split(',').map(Number);
+  if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
+    sendJson(res, 503, { ok: false, error: 'Set HH_KITCHEN_LOCATION to try delivery' });
+    return;
+  }
+  if (!address) {
+    sendJson(res, 404, { ok: false, error: 'Address not found' });
+    return;
+  }
+  const hash = crypto.createHash('sha256').update(address.toLowerCase()).digest();
+  const miles = (hash.readUInt16BE(0) % 121) / 10;
+  sendJson(res, 200, { lat: lat + miles / MILES_PER_DEGREE_LAT, lon });
+}
+
+// Only the site's own files: a type we serve, outside dot-folders (.git)
+// and the repo's tooling
+function isSiteFile(file) {
+  const parts = path.relative(ROOT, file).split(path.sep);
+  return !parts.some(part => part.startsWith('.'))
+    && !PRIVATE_DIRS.includes(parts[0])
+    && Object.prototype.hasOwnProperty.call(CONTENT_TYPES, path.extname(file));
+}
+
+function serveStatic(req, res, pathname) {
+  const file = path.join(ROOT, pathname === '/' ? 'index.html' : pathname);
+  if (!file.startsWith(`${ROOT}${path.sep}`)) {
+    sendJson(res, 403, { ok: false, error: 'Forbidden' });
+    return;
+  }
+  const notFound = () => {
+    res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end('Not found');
+  };
+  if (!isSiteFile(file)) {
+    notFound();
+    return;
+  }
+  fs.readFile(file, (err, body) => {
+    if (err) {
+      notFound();
+      return;
+    }
+    const output = file === path.join(ROOT, 'index.html')
+      ? body.toString('utf8')
+        .replace(/(<meta name="hh-api-base" content=")[^"]*"/, '$1/"')
+        .replace(/(<meta name="hh-kitchen-location" content=")[^"]*"/, `$1${KITCHEN_LOCATION}"`)
+      : body;
+    res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream' });
+    res.end(req.method === 'HEAD' ? undefined : output);
+  });
+}
+
+const server = http.createServer((req, res) => {
+  // Lets a page served elsewhere point its hh-api-base at this server
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+
+  let pathname;
+  let searchParams;
+  try {
+    const url = new URL(req.url, 'http://localhost');
+    pathname = decodeURIComponent(url.pathname);
+    searchParams = url.searchParams;
+  } catch (err) {
+    sendJson(res, 400, { ok: false, error: 'Bad request path' });
+    return;
+  }
+  const statusMatch = pathname.match(/^\/orders\/([^/]+)\/status$/);
+
+  if (pathname === '/orders' && req.method === 'POST') {
+    createOrder(req, res).catch((err) => sendJson(res, 500, { ok: false, error: err.message }));
+  } else if (pathname === '/geocode' && req.method === 'GET') {
+    geocode(res, searchParams);
+  } else if (statusMatch && req.method === 'GET') {
+    const order = orders.get(statusMatch[1]);
+    if (order) {
+      sendJson(res, 200, statusOf(order));
+    } else {
+      sendJson(res, 404, { ok: false, error: 'Order not found' });
+    }
+  } else if (req.method === 'GET' || req.method === 'HEAD') {
+    serveStatic(req, res, pathname);
+  } else {
+    sendJson(res, 405, { ok: false, error: 'Method not allowed' });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`mock-server: http://localhost:${PORT} (status advances every ${STEP_SECONDS}s)`);
+});
@@ -0,0 +1,98 @@
+/*
+ * Holy Hands Kitchen – order totals
+ *
+ * Everything that turns a cart into money lives here so the cart footer, the
+ * checkout summary and the order payload can never disagree. All amounts are
+ * integer cents. The functions are pure: no DOM, no storage, no globals other
+ * than the PRICING defaults, so they can be exercised on their own.
+ */
+(function() {
+  const PRICING = {
+    // Pennsylvania sales tax on prepared food
+    taxRate: 0.06,
+    delivery: {
+      baseCents: 300,
+      perMileCents: 100,
+      maxMiles: 8,
+    },
+    tipPercents: [0, 0.1, 0.15, 0.2],
+  };
+
+  const EARTH_RADIUS_MILES = 3958.8;
+
+  /**
+   * Great-circle distance between two { lat, lon } points in miles.
+   */
+  function distanceMiles(from, to) {
+    const toRad = (deg) => (deg * Math.PI) / 180;
+    const dLat = toRad(to.lat - from.lat);
+    const dLon = toRad(to.lon - from.lon);
+    const a = Math.sin(dLat / 2) ** 2
+      + Math.cos(toRad(from.lat)) * Math.cos(toRad(to.lat)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_MILES * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  }
+
+  /**
+   * Delivery fee in cents for a distance, or null when the distance is unknown
+   * or outside the delivery area.
+   * @param {number|null} miles
+   * @param {object} [delivery]
+   */
+  function computeDeliveryFee(miles, delivery = PRICING.delivery) {
+    if (typeof miles !== 'number' || !Number.isFinite(miles) || miles < 0) return null;
+    if (miles > delivery.maxMiles) return null;
+    return delivery.baseCents + Math.round(miles * delivery.perMileCents);
+  }
+
+  /**
+   * Compute the full breakdown for an order.
+   *
+   * @param {object} order
+   * @param {Array<{unitPrice: number, quantity: number}>} order.lines unit prices in cents
+   * @param {'pickup'|'delivery'} [order.fulfilment]
+   * @param {number|null} [order.distanceMiles] required for a delivery fee
+   * @param {number} [order.tipPercent] fraction of the subtotal, e.g. 0.15
+   * @param {number} [order.discount] cents taken off the subtotal before tax
+   * @param {object} [pricing]
+   * @returns {{subtotal: number, discount: number, deliveryFee: number, tax: number,
+   *   tip: number, total: number, deliverable: boolean}}
+   */
+  function computeTotals(order, pricing = PRICING) {
+    const lines = Array.isArray(order.lines) ? order.lines : [];
+    const subtotal = lines.reduce((sum, line) => {
+      const unit = Math.round(Number(line.unitPrice) || 0);
+      const qty = Math.max(0, Math.floor(Number(line.quantity) || 0));
+      return sum + unit * qty;
+    }, 0);
+
+    const discount = Math.min(subtotal, Math.max(0, Math.round(order.discount || 0)));
+    const taxable = subtotal - discount;
+
+    const isDelivery = order.fulfilment === 'delivery';
+    const quotedFee = isDelivery ? computeDeliveryFee(order.distanceMiles, pricing.delivery) : 0;
+    const deliverable = !isDelivery || quotedFee != null;
+    const deliveryFee = quotedFee || 0;
+
+    const tax = Math.round(taxable * pricing.taxRate);
+    const tipPercent = Math.max(0, Number(order.tipPercent) || 0);
+    // Tip is on the food, not on tax or fees
+    const tip = Math.round(taxable * tipPercent);
+
+    return {
+      subtotal,
+      discount,
+      deliveryFee,
+      tax,
+      tip,
+      total: taxable + deliveryFee + tax + tip,
+      deliverable,
+    };
+  }
+
+  window.HH_TOTALS = {
+    PRICING,
+    computeTotals,
+    computeDeliveryFee,
+    distanceMiles,
+  };
+})();